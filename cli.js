@@ -0,0 +1,291 @@
+#!/usr/bin/env node
+// cli.js
+// Headless Pattern Hunter: runs a search from the command line (no web server, no prompts)
+// until a stop condition is met, then exits. See `node cli.js --help`.
+const path = require("path");
+const { parseArgs } = require("util");
+
+const config = require("./config");
+const QRCodeService = require("./services/QRCodeService");
+const PatternTemplateService = require("./services/PatternTemplateService");
+const MatchStoreService = require("./services/MatchStoreService");
+const RunHistoryService = require("./services/RunHistoryService");
+const PatternHunterService = require("./services/PatternHunterService");
+
+const UPLOADS_DIR = path.join(__dirname, "uploads");
+const TEMPLATES_DIR = path.join(__dirname, "templates");
+const CLI_GENERATOR = "cli"; // Name of the generator built from --template.
+
+// Exit codes: like grep, 0 means something was found.
+const EXIT_MATCHES_FOUND = 0;
+const EXIT_NO_MATCHES = 1;
+const EXIT_USAGE_ERROR = 2;
+const EXIT_INTERRUPTED = 130;
+
+const USAGE = `Usage: node cli.js --pattern <file> [options]
+
+Searches QR codes for the given pattern(s) without starting the web server.
+
+Options:
+  -p, --pattern <file>        Pattern file in templates/ (repeatable or comma-separated)
+  -t, --template <template>   URL template to search, e.g. "https://{word}{digits:2}.com"
+  -g, --generator <name>      Named generator from config.urlGenerators (default: "default")
+  -s, --seed <seed>           Seed for the random URL stream, to replay an earlier run
+  -w, --workers <n>           Worker threads (default: CPU count - 1)
+      --max-scans <n>         Stop after scanning n QR codes
+      --max-matches <n>       Stop after n matches
+      --duration <time>       Stop after a wall-clock time: 90, 90s, 15m or 2h
+      --min-hit-rate <rate>   Stop once matches per scanned QR fall below rate (checked
+                              after 1000 scans), e.g. 0.001
+      --hit-rate-pattern <file>  Apply --min-hit-rate to one pattern instead of all
+  -o, --out <file>            JSON-lines file to append matches to (default: ${config.matchStoreFile})
+      --progress <seconds>    Seconds between progress lines; 0 turns them off (default: 5)
+      --list                  List pattern files and generators, then exit
+  -h, --help                  Show this help
+
+Exit codes: 0 matches found, 1 no matches, 2 invalid options or startup error,
+130 interrupted (Ctrl+C). Without a stop condition the search runs until interrupted
+or until an enumerated URL space (urlEnumeration.mode) is exhausted.`;
+
+class UsageError extends Error {}
+
+function parsePositiveInteger(value, flag) {
+  if (value === undefined) return null;
+  if (!/^\d+$/.test(value) || Number(value) < 1) {
+    throw new UsageError(`${flag} expects a positive whole number, got '${value}'.`);
+  }
+  return Number(value);
+}
+
+// "90" and "90s" are seconds; "500ms", "15m" and "2h" are also accepted.
+function parseDuration(value) {
+  if (value === undefined) return null;
+  const match = /^(\d+(?:\.\d+)?)(ms|s|m|h)?$/.exec(value.trim());
+  if (!match || Number(match[1]) <= 0) {
+    throw new UsageError(`--duration expects a time like 90, 90s, 15m or 2h, got '${value}'.`);
+  }
+  const unitMs = { ms: 1, s: 1000, m: 60000, h: 3600000 }[match[2] || "s"];
+  return Number(match[1]) * unitMs;
+}
+
+function parseHitRate(value) {
+  if (value === undefined) return null;
+  const rate = Number(value);
+  if (!(rate > 0 && rate <= 1)) {
+    throw new UsageError(`--min-hit-rate expects a fraction between 0 and 1, got '${value}'.`);
+  }
+  return rate;
+}
+
+function parseCliOptions(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      pattern: { type: "string", short: "p", multiple: true },
+      template: { type: "string", short: "t" },
+      generator: { type: "string", short: "g" },
+      seed: { type: "string", short: "s" },
+      workers: { type: "string", short: "w" },
+      "max-scans": { type: "string" },
+      "max-matches": { type: "string" },
+      duration: { type: "string" },
+      "min-hit-rate": { type: "string" },
+      "hit-rate-pattern": { type: "string" },
+      out: { type: "string", short: "o" },
+      progress: { type: "string" },
+      list: { type: "boolean" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+  if (positionals.length > 0) {
+    throw new UsageError(`Unexpected argument(s): ${positionals.join(" ")}`);
+  }
+  if (values["hit-rate-pattern"] !== undefined && values["min-hit-rate"] === undefined) {
+    throw new UsageError("--hit-rate-pattern needs --min-hit-rate.");
+  }
+  if (values.template !== undefined && values.generator !== undefined) {
+    throw new UsageError("Use either --template or --generator, not both.");
+  }
+  const progressSeconds = values.progress === undefined ? 5 : Number(values.progress);
+  if (!Number.isFinite(progressSeconds) || progressSeconds < 0) {
+    throw new UsageError(`--progress expects a number of seconds, got '${values.progress}'.`);
+  }
+  return {
+    help: !!values.help,
+    list: !!values.list,
+    patterns: (values.pattern || [])
+      .flatMap((pattern) => pattern.split(","))
+      .map((pattern) => pattern.trim())
+      .filter(Boolean),
+    template: values.template,
+    generator: values.template !== undefined ? CLI_GENERATOR : values.generator,
+    seed: values.seed,
+    workers: parsePositiveInteger(values.workers, "--workers"),
+    stopConditions: buildStopConditions({
+      maxScans: parsePositiveInteger(values["max-scans"], "--max-scans"),
+      maxMatches: parsePositiveInteger(values["max-matches"], "--max-matches"),
+      maxDurationMs: parseDuration(values.duration),
+      minHitRate: parseHitRate(values["min-hit-rate"]),
+      hitRatePattern: values["hit-rate-pattern"],
+    }),
+    outFile: path.resolve(values.out || path.join(__dirname, config.matchStoreFile)),
+    progressIntervalMs: progressSeconds * 1000,
+  };
+}
+
+// The stop conditions PatternHunterService.startSearch() takes; unset limits are left out.
+function buildStopConditions({ maxScans, maxMatches, maxDurationMs, minHitRate, hitRatePattern }) {
+  const stopConditions = {};
+  if (maxScans) stopConditions.maxScans = maxScans;
+  if (maxMatches) stopConditions.maxMatches = maxMatches;
+  if (maxDurationMs) stopConditions.maxDurationMs = maxDurationMs;
+  if (minHitRate) {
+    stopConditions.minHitRate = { rate: minHitRate, pattern: hitRatePattern || null };
+  }
+  return stopConditions;
+}
+
+// e.g. "[CLI] 120,000 scanned (2,431.7 QR/s), 3 match(es), 12.5000% covered, 49s elapsed"
+function formatProgress(status, matchCount, elapsedMs) {
+  const parts = [
+    `${status.searchedCount.toLocaleString()} scanned (${status.scanRate.toLocaleString(
+      undefined,
+      { maximumFractionDigits: 1 }
+    )} QR/s)`,
+    `${matchCount} match(es)`,
+  ];
+  if (status.coverage) parts.push(`${status.coverage.percent.toFixed(4)}% covered`);
+  parts.push(`${Math.round(elapsedMs / 1000)}s elapsed`);
+  return `[CLI] ${parts.join(", ")}`;
+}
+
+async function listPatternsAndGenerators(patternTemplateService, patternHunter) {
+  console.log("Pattern files (templates/):");
+  (await patternTemplateService.listTemplates()).forEach((file) =>
+    console.log(`  ${file}`)
+  );
+  console.log("Generators (--generator):");
+  patternHunter.urlGenerators
+    .list()
+    .forEach(({ name, template }) => console.log(`  ${name}: ${template}`));
+}
+
+async function run(argv) {
+  let options;
+  try {
+    options = parseCliOptions(argv);
+  } catch (e) {
+    console.error(`${e.message}\n\n${USAGE}`);
+    return EXIT_USAGE_ERROR;
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return EXIT_MATCHES_FOUND;
+  }
+
+  const patternTemplateService = new PatternTemplateService(TEMPLATES_DIR);
+  const patternHunter = new PatternHunterService({
+    config,
+    rootDir: __dirname,
+    uploadsDir: UPLOADS_DIR,
+    templatesDir: TEMPLATES_DIR,
+    qrCodeService: new QRCodeService(UPLOADS_DIR),
+    patternTemplateService,
+    matchStore: new MatchStoreService(options.outFile),
+    runHistory: new RunHistoryService(path.join(__dirname, config.runHistoryFile)),
+    ...(options.workers ? { workerCount: options.workers } : {}),
+    runSelfTest: false,
+    // The web server renders display images of these matches when they're first viewed.
+    renderDisplayImages: false,
+  });
+
+  try {
+    await patternHunter.initialize(
+      options.template !== undefined ? { [CLI_GENERATOR]: options.template } : {}
+    );
+  } catch (e) {
+    console.error(`[CLI] ${e.message}`);
+    return EXIT_USAGE_ERROR;
+  }
+  if (options.list) {
+    await listPatternsAndGenerators(patternTemplateService, patternHunter);
+    return EXIT_MATCHES_FOUND;
+  }
+  if (options.patterns.length === 0) {
+    console.error(`At least one --pattern is required.\n\n${USAGE}`);
+    return EXIT_USAGE_ERROR;
+  }
+  const selection = await patternHunter.applyPatternSelection(options.patterns);
+  if (!selection.success) {
+    console.error(`[CLI] ${selection.error}`);
+    return EXIT_USAGE_ERROR;
+  }
+
+  let matchCount = 0;
+  const startedAt = Date.now();
+  // Limits stop the search from inside the hunter, so wait for its stop to finish (workers
+  // gone, checkpoint and run summary saved) rather than for the status that announces it.
+  const searchFinished = new Promise((resolve) => patternHunter.once("stopped", resolve));
+  const interrupt = () => {
+    if (patternHunter.isSearching) {
+      patternHunter
+        .stopSearch({ code: "interrupted", message: "Interrupted" })
+        .catch((err) => console.error("[CLI] Error stopping search:", err));
+    }
+  };
+
+  patternHunter.on("match", (match) => {
+    if (!match.isTestMatch) matchCount++;
+  });
+  process.once("SIGINT", interrupt);
+  process.once("SIGTERM", interrupt);
+
+  const result = await patternHunter.startSearch({
+    seed: options.seed,
+    generator: options.generator,
+    stopConditions: options.stopConditions,
+  });
+  if (!result.success) {
+    console.error(`[CLI] ${result.error}`);
+    return EXIT_USAGE_ERROR;
+  }
+  const { seed } = patternHunter.getSearchStatus();
+  console.log(
+    `[CLI] Searching for ${patternHunter.selectedPatternFiles.join(", ")} with generator '${
+      patternHunter.activeGeneratorName
+    }'${seed ? ` (seed ${seed})` : ""}; matches go to ${options.outFile}.`
+  );
+
+  const progressTimer =
+    options.progressIntervalMs > 0
+      ? setInterval(
+          () =>
+            console.log(
+              formatProgress(patternHunter.getSearchStatus(), matchCount, Date.now() - startedAt)
+            ),
+          options.progressIntervalMs
+        )
+      : null;
+
+  await searchFinished;
+  if (progressTimer) clearInterval(progressTimer);
+  await patternHunter.drain();
+
+  const status = patternHunter.getSearchStatus();
+  console.log(formatProgress(status, matchCount, Date.now() - startedAt));
+  console.log(
+    `[CLI] Stopped: ${status.stopReason.message}. ${matchCount} match(es) written to ${
+      options.outFile
+    }.${seed ? ` Replay with --seed ${seed}.` : ""}`
+  );
+  if (status.stopReason.code === "interrupted") return EXIT_INTERRUPTED;
+  return matchCount > 0 ? EXIT_MATCHES_FOUND : EXIT_NO_MATCHES;
+}
+
+run(process.argv.slice(2))
+  .then((exitCode) => process.exit(exitCode))
+  .catch((err) => {
+    console.error("[CLI] Unexpected error:", err);
+    process.exit(EXIT_USAGE_ERROR);
+  });
@@ -9,25 +9,118 @@ module.exports = {
     margin: 0, // No quiet zone; search focuses on the data area.
     errorCorrectionLevel: "H", // High EC level can lead to more varied data patterns.
   },
+  qrVariantSearch: {
+    // The same URL can be encoded with any of 8 mask patterns and 4 EC levels. When enabled,
+    // each URL is searched in every combination below (overriding the mask/EC above), and a
+    // match records the combination that produced it.
+    enabled: false,
+    maskPatterns: [0, 1, 2, 3, 4, 5, 6, 7],
+    errorCorrectionLevels: ["L", "M", "Q", "H"],
+  },
+  useBitPackedMatcher: true, // Workers match against bit-packed QR modules instead of decoded PNGs (same results, much faster).
   qrDisplayOptions: {
     // Options for QR codes generated to display found matches in the UI.
     scale: 8, // Larger scale for better visibility.
     margin: 4, // Standard quiet zone for readability.
     errorCorrectionLevel: "H", // Consistent with search QRs, though not strictly necessary here.
   },
+  verifyMatches: true, // Decode each match's display QR and re-check the pattern on it.
+  // Matches that fail are still kept, but flagged in the UI.
 
   // --- Pattern Matching ---
   // patternFile will now be selected by the user at startup.
   // No hardcoded value here anymore.
+  patternMatchOptions: {
+    // Options passed to every PatternMatcherService (main thread and workers).
+    matchAllOrientations: false, // Also match the pattern's 90/180/270 rotations and mirror images.
+    maxMismatches: 0, // Fuzzy matching: allow up to N differing pixels (0 = exact matches only).
+    occurrenceMode: "first", // "first" hit only, "all" hits, or "nonOverlapping" hits per QR.
+    regionMode: "anywhere", // "anywhere", "dataOnly" (skip finder/timing/alignment/format/version modules), or "mask".
+    regionMask: [], // For regionMode "mask": [{ x, y, width, height }] rectangles in QR module coordinates.
+  },
+
+  matchScoring: {
+    // Each match gets a 0-100 score from these factors (0 turns one off): a short domain name,
+    // how much of it is dictionary words, a hit in the data area rather than on a fixed QR
+    // structure, several hits in one QR, the pattern as drawn rather than turned or mirrored,
+    // and how close a fuzzy match is.
+    weights: {
+      domainLength: 25,
+      dictionary: 25,
+      dataArea: 20,
+      occurrences: 10,
+      orientation: 10,
+      distance: 10,
+    },
+    wordList: "word", // Name of the templateWordLists entry used as the dictionary.
+    minWordLength: 3, // Shorter words ("a", "of") don't count as dictionary words.
+  },
 
   // --- URL Generation for QR Content ---
-  urlTemplate: "http://www.{RANDOM_STRING}.com", // Base template for URLs embedded in QRs.
+  // Template for URLs embedded in QRs. Besides randomStringPlaceholder it can hold any number of
+  // placeholders: {digits:2-4} or {alpha:6} (charset presets), {[a-z0-9]:3-5} (character class),
+  // {word} or {word:3-6} (a word from templateWordLists), and {com|io|net} or {tld:com|io|net}
+  // (alternatives), e.g. "https://{word}{digits:2-4}.{tld:com|io|net}".
+  urlTemplate: "http://www.{RANDOM_STRING}.com",
   randomStringPlaceholder: "{RANDOM_STRING}", // The exact placeholder to be replaced.
-  randomStringLength: 8, // Length of the generated random string.
+  randomStringLength: 8, // Length of the generated random string (and of charset placeholders without one).
   randomStringCharset: "abcdefghijklmnopqrstuvwxyz0123456789", // Allowed characters.
+  templateWordLists: {
+    // Named word lists for {name} placeholders: a path to a file with one word per line
+    // (relative to the project directory) or an array of words.
+    word: "wordlists/words.txt",
+  },
+  urlGenerators: {
+    // Named URL templates (same grammar as urlTemplate, which is the "default" generator) that
+    // can be picked for each search in the UI. Readable names make far more useful domains.
+    word: "http://www.{word}.com", // A single dictionary word.
+    wordPair: "http://www.{word}{word}.com", // Two dictionary words, e.g. "bluefox".
+    pronounceable: "http://www.{syllables:2-4}.com", // Consonant-vowel syllables, e.g. "kotami".
+    // Other QR payloads: { type, ...fields }, with type text, mailto (to, subject, body),
+    // tel (number), wifi (ssid, password, security, hidden) or vcard (fullName, org, title,
+    // tel, email, url, note). Fields may contain placeholders; each value is escaped for
+    // the format, so only the placeholder parts vary.
+    wifiPassword: { type: "wifi", ssid: "Guest", password: "{alphanumeric:10}" },
+    wifiSsid: { type: "wifi", ssid: "Guest-{digits:4}", security: "nopass" },
+    phone: { type: "tel", number: "+1555{digits:7}" },
+  },
+  urlEnumeration: {
+    // How URLs are picked from urlTemplate. "random" fills each placeholder at random (URLs can
+    // repeat). "sequential" walks every URL the template can produce in order, and "shuffled"
+    // walks them all once in a keyed pseudo-random order. Both resume from a checkpoint after
+    // stop/start or a restart.
+    mode: "random",
+    shuffleKey: "qr-pattern-hunter", // Selects the "shuffled" order; a new key starts a new walk.
+    checkpointFile: "data/enumeration_checkpoint.json", // Relative to the project directory.
+    checkpointIntervalMs: 5000, // How often the cursor is saved while searching.
+  },
+
+  // --- Domain Availability ---
+  domainAvailability: {
+    // Tags each match's domain as available, taken or unknown. Lookups are cached per domain.
+    // Off by default; "zoneFile" stays on this machine, "dns" sends every matched domain to
+    // the DNS servers listed below.
+    enabled: false,
+    backend: "zoneFile", // "zoneFile", "dns", or a backend added with DomainAvailabilityService.registerBackend.
+    dns: {
+      // NS lookup: NXDOMAIN = available. Required: the server(s) to ask, e.g. a local
+      // resolver or stand-in server such as ["127.0.0.1:5353"]. The system resolver is
+      // never used, so nothing is sent upstream unless you point it there.
+      servers: [],
+      timeoutMs: 2000,
+    },
+    zoneFile: {
+      // Offline: files listing taken domains, one per line, or DNS zone files (relative to the
+      // project directory). Unlisted domains in a TLD the files cover count as available.
+      paths: ["data/taken_domains.txt"],
+    },
+  },
 
   // --- Server Configuration ---
   port: 3000, // Port on which the HTTP server will listen.
+  matchStoreFile: "data/matches.jsonl", // Found matches are appended here (one JSON object per line)
+  // and reloaded on startup. Relative paths are resolved from the project directory.
+  runHistoryFile: "data/runs.jsonl", // A summary of each finished search (limits, counts, stop reason).
 
   // --- Search Process Control ---
   // Note: `searchBatchSize` is defined but not directly used by `server.js`'s main task creation loop.
@@ -35,4 +128,6 @@ module.exports = {
   searchBatchSize: 10, // Intended size of batches for processing or updates.
   delayBetweenBatchesMs: 100, // Pause (ms) in `mainSearchScheduler` before queueing more tasks.
   // Helps prevent busy-looping and allows I/O.
+  tasksQueuedPerWorker: 200, // URLs queued per worker each scheduler pass. Caps throughput at
+  // roughly tasksQueuedPerWorker / delayBetweenBatchesMs per worker, so keep it above the scan rate.
 };
@@ -6,16 +6,305 @@ document.addEventListener("DOMContentLoaded", () => {
   const stopButton = document.getElementById("stopButton");
   const searchStateSpan = document.getElementById("searchState");
   const scannedCountSpan = document.getElementById("scannedCount");
+  const scanRateSpan = document.getElementById("scanRate");
   const matchesFoundCountSpan = document.getElementById("matchesFoundCount");
+  const generatorSelect = document.getElementById("generatorSelect");
+  const seedInput = document.getElementById("seedInput");
+  const seedLine = document.getElementById("seedLine");
+  const searchSeedSpan = document.getElementById("searchSeed");
+  const coverageLine = document.getElementById("coverageLine");
+  const lastRunLine = document.getElementById("lastRunLine");
+  const lastRunSpan = document.getElementById("lastRun");
+  const maxScansInput = document.getElementById("maxScansInput");
+  const maxMatchesInput = document.getElementById("maxMatchesInput");
+  const maxMinutesInput = document.getElementById("maxMinutesInput");
+  const minHitRateInput = document.getElementById("minHitRateInput");
+  const hitRatePatternSelect = document.getElementById("hitRatePatternSelect");
+  const coverageSpan = document.getElementById("coverage");
   const matchesContainer = document.getElementById("matchesContainer");
   const noMatchesMessage = document.getElementById("noMatchesMessage");
+  const availableOnlyFilter = document.getElementById("availableOnlyFilter");
+  const highlightToggle = document.getElementById("highlightToggle");
+  const sortSelect = document.getElementById("sortSelect");
+  const minScoreInput = document.getElementById("minScoreInput");
+  const exportLinks = {
+    csv: document.getElementById("exportCsvLink"),
+    json: document.getElementById("exportJsonLink"),
+    zip: document.getElementById("exportZipLink"),
+  };
+  const importMatchesInput = document.getElementById("importMatchesInput");
+  const importMessage = document.getElementById("importMessage");
+  const patternList = document.getElementById("patternList");
+  const templateGrid = document.getElementById("templateGrid");
+  const applyPatternsButton = document.getElementById("applyPatternsButton");
+  const patternUploadInput = document.getElementById("patternUploadInput");
+  const uploadPatternButton = document.getElementById("uploadPatternButton");
+  const patternMessage = document.getElementById("patternMessage");
 
   function updateSearchStatusUI(status) {
     searchStateSpan.textContent = status.isSearching ? "Searching..." : "Idle";
     scannedCountSpan.textContent = status.searchedCount;
+    if (typeof status.scanRate === "number") {
+      scanRateSpan.textContent = status.scanRate.toFixed(1);
+    }
     matchesFoundCountSpan.textContent = status.foundCount;
+    seedLine.hidden = !status.seed;
+    searchSeedSpan.textContent = status.seed || "";
+    seedInput.disabled = status.isSearching;
+    generatorSelect.disabled = status.isSearching;
+    if (status.generator) generatorSelect.value = status.generator;
+    // Only enumeration modes walk a finite space; random mode has nothing to cover.
+    coverageLine.hidden = !status.coverage;
+    if (status.coverage) {
+      const { percent, covered, total, mode } = status.coverage;
+      coverageSpan.textContent = `${percent.toFixed(4)}% (${covered} of ${total}, ${mode})`;
+    }
+    // The reason and summary of the last run, once it has stopped.
+    lastRunLine.hidden = status.isSearching || !status.lastRun;
+    if (status.lastRun) {
+      lastRunSpan.textContent = formatRunSummary(status.lastRun);
+    }
+    [
+      maxScansInput,
+      maxMatchesInput,
+      maxMinutesInput,
+      minHitRateInput,
+      hitRatePatternSelect,
+    ].forEach((input) => (input.disabled = status.isSearching));
     startButton.disabled = status.isSearching;
     stopButton.disabled = !status.isSearching;
+    // Patterns can only be switched while idle.
+    applyPatternsButton.disabled = status.isSearching;
+    if (status.patternCounts) {
+      updatePatternCountsUI(status.patternCounts);
+    }
+  }
+
+  // e.g. "Found 10 match(es) · 52311 scanned, 10 match(es) in 64s"
+  function formatRunSummary(run) {
+    return `${run.stopReason.message} \u00b7 ${run.searchedCount} scanned, ${
+      run.matchCount
+    } match(es) in ${Math.round(run.durationMs / 1000)}s`;
+  }
+
+  // Empty inputs mean "no limit".
+  function readStopConditions() {
+    const stopConditions = {};
+    if (maxScansInput.value) stopConditions.maxScans = Number(maxScansInput.value);
+    if (maxMatchesInput.value) stopConditions.maxMatches = Number(maxMatchesInput.value);
+    if (maxMinutesInput.value) {
+      stopConditions.maxDurationMs = Number(maxMinutesInput.value) * 60000;
+    }
+    if (minHitRateInput.value) {
+      stopConditions.minHitRate = {
+        rate: Number(minHitRateInput.value),
+        pattern: hitRatePatternSelect.value || null,
+      };
+    }
+    return stopConditions;
+  }
+
+  function renderHitRatePatternOptions(patternFiles) {
+    const selected = hitRatePatternSelect.value;
+    hitRatePatternSelect.length = 1; // Keep "all patterns".
+    patternFiles.forEach((patternFile) => {
+      hitRatePatternSelect.add(new Option(patternFile, patternFile));
+    });
+    hitRatePatternSelect.value = patternFiles.includes(selected) ? selected : "";
+  }
+
+  function updatePatternCountsUI(patternCounts) {
+    patternList.querySelectorAll("li[data-pattern]").forEach((item) => {
+      item.querySelector(".pattern-count").textContent =
+        patternCounts[item.dataset.pattern] || 0;
+    });
+  }
+
+  function renderPatternList(patternFiles, patternCounts) {
+    patternList.innerHTML = "";
+    patternFiles.forEach((patternFile) => {
+      const item = document.createElement("li");
+      item.dataset.pattern = patternFile;
+      const name = document.createElement("strong");
+      name.textContent = patternFile;
+      const count = document.createElement("span");
+      count.classList.add("pattern-count");
+      count.textContent = patternCounts[patternFile] || 0;
+      item.append(name, ": ", count, " match(es)");
+      patternList.appendChild(item);
+    });
+  }
+
+  function renderTemplateGrid(templates, selected) {
+    templateGrid.innerHTML = "";
+    templates.forEach((templateFile) => {
+      const card = document.createElement("label");
+      card.classList.add("template-card");
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.value = templateFile;
+      checkbox.checked = selected.includes(templateFile);
+      const preview = document.createElement("img");
+      preview.src = `/templates/${encodeURIComponent(
+        templateFile
+      )}?t=${Date.now()}`; // Bust the cache when a template is re-uploaded.
+      preview.alt = templateFile;
+      const name = document.createElement("span");
+      name.textContent = templateFile;
+      card.append(checkbox, preview, name);
+      templateGrid.appendChild(card);
+    });
+  }
+
+  function showPatternMessage(message, isError = false) {
+    patternMessage.textContent = message;
+    patternMessage.classList.toggle("error", isError);
+  }
+
+  const MAX_LISTED_OCCURRENCES = 5;
+
+  // e.g. "3 hits at (4, 7), (12, 0), (20, 9)"
+  function formatOccurrences(match) {
+    const listed = match.occurrences
+      .slice(0, MAX_LISTED_OCCURRENCES)
+      .map((o) => `(${o.x}, ${o.y})`)
+      .join(", ");
+    const more =
+      match.occurrences.length > MAX_LISTED_OCCURRENCES ? ", \u2026" : "";
+    return `${match.occurrenceCount} hits at ${listed}${more}`;
+  }
+
+  // e.g. "EC H · mask 3 · v4"
+  function formatQrOptions(qrOptions) {
+    const parts = [`EC ${qrOptions.errorCorrectionLevel}`];
+    if (qrOptions.maskPattern !== null) parts.push(`mask ${qrOptions.maskPattern}`);
+    if (qrOptions.version !== null) parts.push(`v${qrOptions.version}`);
+    return parts.join(" \u00b7 ");
+  }
+
+  // e.g. "⚠ Not verified: The display QR could not be decoded."
+  // Without the pattern's template (e.g. an imported match) only the decode is checked.
+  function formatVerification(verification) {
+    if (verification.status !== "verified") {
+      return `\u26a0 Not verified: ${verification.problems.join(" ")}`;
+    }
+    return verification.layoutMatches === null
+      ? "\u2713 Scans back (pattern not re-checked)"
+      : "\u2713 Scans back and matches on display";
+  }
+
+  // e.g. "Domain length (8 characters): 17.6 / 25"
+  function formatScoreFactor(factor) {
+    const points = factor.value === null ? "n/a" : `${factor.points} / ${factor.weight}`;
+    return `${factor.label} (${factor.detail}): ${points}`;
+  }
+
+  function renderScore(score) {
+    const factors = score.factors
+      .map(
+        (factor) =>
+          `<li${factor.value === null ? ' class="not-scored"' : ""}>${escapeHtml(
+            formatScoreFactor(factor)
+          )}</li>`
+      )
+      .join("");
+    return `<details class="match-score"><summary>Score <strong>${escapeHtml(
+      score.total
+    )}</strong></summary><ul>${factors}</ul></details>`;
+  }
+
+  // Match content is arbitrary text for non-URL payloads (Wi-Fi, vCard, ...), and imported
+  // matches come from other servers.
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  // Positions a display-pixel box ({x, y, width, height}) as percentages of `frame`.
+  function placeBox(element, box, frame) {
+    element.style.left = `${((box.x - frame.x) / frame.width) * 100}%`;
+    element.style.top = `${((box.y - frame.y) / frame.height) * 100}%`;
+    element.style.width = `${(box.width / frame.width) * 100}%`;
+    element.style.height = `${(box.height / frame.height) * 100}%`;
+  }
+
+  // Outlines each hit on the card's QR and adds a zoomed crop of the first one beside it.
+  // `highlight` is match.highlight: { imageSize, moduleSize, regions, crop } in display pixels.
+  function renderMatchHighlight(visual, highlight) {
+    const qrFrame = visual.querySelector(".match-qr");
+    const image = { x: 0, y: 0, width: highlight.imageSize, height: highlight.imageSize };
+    const { crop } = highlight;
+    const zoom = document.createElement("div");
+    zoom.classList.add("match-zoom");
+    zoom.title = "Matched region, zoomed";
+    zoom.style.aspectRatio = `${crop.width} / ${crop.height}`;
+    zoom.style.backgroundImage = `url("${qrFrame.querySelector("img").getAttribute("src")}")`;
+    zoom.style.backgroundSize = `${(highlight.imageSize / crop.width) * 100}% auto`;
+    // Background percentages line that fraction of the crop up with the same fraction of the image.
+    const offsetPercent = (offset, size) =>
+      size < highlight.imageSize ? (offset / (highlight.imageSize - size)) * 100 : 0;
+    zoom.style.backgroundPosition = `${offsetPercent(crop.x, crop.width)}% ${offsetPercent(
+      crop.y,
+      crop.height
+    )}%`;
+
+    highlight.regions.forEach((region, index) => {
+      [
+        [qrFrame, image],
+        [zoom, crop],
+      ].forEach(([container, frame]) => {
+        const box = document.createElement("div");
+        box.classList.add("match-highlight");
+        if (index === 0) box.classList.add("primary");
+        placeBox(box, region, frame);
+        container.appendChild(box);
+      });
+    });
+    visual.appendChild(zoom);
+  }
+
+  // Links in a card's download menu point at /api/matches/:id/export with the menu's options;
+  // empty fields fall back to the server's defaults.
+  function updateDownloadLinks(menu) {
+    const params = new URLSearchParams();
+    menu.querySelectorAll("input[name]").forEach((input) => {
+      if (input.type === "checkbox") {
+        if (input.checked) params.set(input.name, "1");
+      } else if (input.value !== "") {
+        params.set(input.name, input.value);
+      }
+    });
+    menu.querySelectorAll("a[data-format]").forEach((link) => {
+      params.set("format", link.dataset.format);
+      link.href = `/api/matches/${encodeURIComponent(menu.dataset.matchId)}/export?${params}`;
+    });
+  }
+
+  function renderDownloadMenu(matchItem, matchId) {
+    const menu = document.createElement("details");
+    menu.classList.add("match-download");
+    menu.dataset.matchId = matchId;
+    menu.innerHTML = `
+            <summary>Download</summary>
+            <div class="download-options">
+                <label>Dark <input type="color" name="dark" value="#000000"></label>
+                <label>Light <input type="color" name="light" value="#ffffff"></label>
+                <label>Quiet zone <input type="number" name="margin" min="0" max="20" placeholder="default"> modules</label>
+                <label>Print size <input type="number" name="sizeMm" min="5" max="1000" placeholder="50"> mm (SVG, PDF)</label>
+                <label>PNG <input type="number" name="scale" min="1" max="64" placeholder="24"> px per module</label>
+                <label><input type="checkbox" name="highlight"> Outline the matched motif</label>
+            </div>
+            <div class="download-links">
+                <a data-format="svg">SVG</a>
+                <a data-format="png">PNG</a>
+                <a data-format="pdf">PDF</a>
+            </div>
+        `;
+    updateDownloadLinks(menu);
+    matchItem.appendChild(menu);
   }
 
   function addMatchToUI(match) {
@@ -25,34 +314,251 @@ document.addEventListener("DOMContentLoaded", () => {
 
     const matchItem = document.createElement("div");
     matchItem.classList.add("match-item");
+    if (match.verification && match.verification.status === "failed") {
+      matchItem.classList.add("unverified");
+    }
     matchItem.id = `match-${match.id}`; // For potential future updates/removals
+    matchItem.dataset.availability = match.availability
+      ? match.availability.status
+      : "unknown";
+    matchItem.dataset.foundAt = match.foundAt || "";
+    if (match.score) matchItem.dataset.score = match.score.total;
     matchItem.innerHTML = `
-            <img src="${match.qrImageUrl}" alt="QR for ${match.url}">
-            <p class="match-url" title="${match.url}">${match.url}</p>
-            <p class="match-info">Pattern: ${match.pattern} @ (${
+            <div class="match-visual">
+                <div class="match-qr"><img src="${match.qrImageUrl}" alt="QR for ${escapeHtml(
+      match.url
+    )}"></div>
+            </div>
+            ${
+              match.payloadType && match.payloadType !== "url"
+                ? `<p class="match-payload-type">${escapeHtml(match.payloadType)}</p>`
+                : ""
+            }
+            <p class="match-url" title="${escapeHtml(match.url)}">${escapeHtml(
+      match.url
+    )}</p>
+            ${match.score ? renderScore(match.score) : ""}
+            <p class="match-info">Pattern: ${escapeHtml(match.pattern)} @ (${
       match.location.x
-    }, ${match.location.y})</p>
-            <p class="match-time">${
+    }, ${match.location.y})${
+      match.orientation && match.orientation !== "rot0"
+        ? ` [${escapeHtml(match.orientation)}]`
+        : ""
+    }${match.zone ? ` in ${escapeHtml(match.zone)}` : ""}</p>
+            ${
+              match.qrOptions
+                ? `<p class="match-qr-options">${escapeHtml(
+                    formatQrOptions(match.qrOptions)
+                  )}</p>`
+                : ""
+            }
+            ${
+              match.occurrenceCount > 1
+                ? `<p class="match-occurrences">${escapeHtml(
+                    formatOccurrences(match)
+                  )}</p>`
+                : ""
+            }
+            ${
+              match.mismatches > 0
+                ? `<p class="match-distance">${match.mismatches} px off (${(
+                    match.similarity * 100
+                  ).toFixed(1)}% similar)</p>`
+                : ""
+            }
+            ${
+              match.availability && match.availability.domain
+                ? `<p class="match-availability ${escapeHtml(
+                    match.availability.status
+                  )}" title="${escapeHtml(
+                    `${match.availability.backend}: ${match.availability.detail}`
+                  )}">${escapeHtml(
+                    `${match.availability.domain}: ${match.availability.status}`
+                  )}</p>`
+                : ""
+            }
+            ${
+              match.verification
+                ? `<p class="match-verification ${escapeHtml(
+                    match.verification.status
+                  )}">${escapeHtml(formatVerification(match.verification))}</p>`
+                : ""
+            }
+            ${
+              match.seed
+                ? `<p class="match-seed">${escapeHtml(
+                    `${
+                      match.generator && match.generator !== "default"
+                        ? `${match.generator} \u00b7 `
+                        : ""
+                    }seed ${match.seed} \u00b7 URL #${match.streamIndex}`
+                  )}</p>`
+                : ""
+            }
+            <p class="match-time">${escapeHtml(
               match.timestamp || new Date().toLocaleTimeString()
-            }</p>
+            )}</p>
         `;
+    if (match.highlight) {
+      renderMatchHighlight(matchItem.querySelector(".match-visual"), match.highlight);
+    }
+    renderDownloadMenu(matchItem, match.id);
     // Add to the top of the container
     if (matchesContainer.firstChild) {
       matchesContainer.insertBefore(matchItem, matchesContainer.firstChild);
     } else {
       matchesContainer.appendChild(matchItem);
     }
+    applyScoreFilter([matchItem]);
+    if (sortSelect.value === "score") applyMatchOrder();
+  }
+
+  // Orders the cards newest first, or by score (newest first among equal scores).
+  function applyMatchOrder() {
+    const byNewest = (a, b) => (b.dataset.foundAt || "").localeCompare(a.dataset.foundAt || "");
+    const compare =
+      sortSelect.value === "score"
+        ? (a, b) =>
+            (Number(b.dataset.score) || 0) - (Number(a.dataset.score) || 0) || byNewest(a, b)
+        : byNewest;
+    [...matchesContainer.querySelectorAll(".match-item")]
+      .sort(compare)
+      .forEach((matchItem) => matchesContainer.appendChild(matchItem));
+  }
+
+  // Cards scoring below the "Hide score below" value are hidden by CSS. Unscored (test)
+  // matches count as 0, as in the API's minScore filter.
+  function applyScoreFilter(matchItems = matchesContainer.querySelectorAll(".match-item")) {
+    const minScore = Number(minScoreInput.value) || 0;
+    matchItems.forEach((matchItem) => {
+      matchItem.classList.toggle(
+        "low-score",
+        (Number(matchItem.dataset.score) || 0) < minScore
+      );
+    });
   }
 
   // --- Event Listeners for Buttons ---
   startButton.addEventListener("click", () => {
-    socket.emit("startSearch");
+    socket.emit("startSearch", {
+      seed: seedInput.value.trim(),
+      generator: generatorSelect.value,
+      stopConditions: readStopConditions(),
+    });
+  });
+
+  // Non-available cards are hidden by CSS while the container has this class.
+  availableOnlyFilter.addEventListener("change", () => {
+    matchesContainer.classList.toggle(
+      "available-only",
+      availableOnlyFilter.checked
+    );
+    updateExportLinks();
+  });
+
+  sortSelect.addEventListener("change", applyMatchOrder);
+
+  minScoreInput.addEventListener("input", () => {
+    applyScoreFilter();
+    updateExportLinks();
+  });
+
+  // Exports cover the matches shown: with "available only" ticked or a minimum score, just those.
+  function updateExportLinks() {
+    Object.entries(exportLinks).forEach(([format, link]) => {
+      const params = new URLSearchParams({ format });
+      if (availableOnlyFilter.checked) params.set("availability", "available");
+      if (Number(minScoreInput.value) > 0) params.set("minScore", minScoreInput.value);
+      link.href = `/api/matches/export?${params}`;
+    });
+  }
+
+  function showImportMessage(message, isError = false) {
+    importMessage.hidden = false;
+    importMessage.textContent = message;
+    importMessage.classList.toggle("error", isError);
+  }
+
+  // New cards arrive through "matchesImported", like matches found by a search.
+  importMatchesInput.addEventListener("change", async () => {
+    const file = importMatchesInput.files[0];
+    if (!file) return;
+    showImportMessage(`Importing ${file.name}\u2026`);
+    try {
+      const response = await fetch("/api/matches/import", {
+        method: "POST",
+        headers: { "Content-Type": file.type || "application/octet-stream" },
+        body: file,
+      });
+      const result = await response.json();
+      if (!result.success) {
+        showImportMessage(`Import failed: ${result.error}`, true);
+      } else {
+        showImportMessage(
+          `Imported ${result.imported} match(es) from ${file.name}; skipped ` +
+            `${result.duplicates} already here and ${result.invalid} invalid.`
+        );
+      }
+    } catch (err) {
+      showImportMessage(`Import failed: ${err.message}`, true);
+    }
+    importMatchesInput.value = "";
+  });
+
+  // Outlines are hidden by CSS while the container has this class; the zoomed crops stay.
+  highlightToggle.addEventListener("change", () => {
+    matchesContainer.classList.toggle("hide-highlights", !highlightToggle.checked);
+  });
+
+  // Cards rendered by the server carry their highlight as JSON.
+  matchesContainer.querySelectorAll(".match-visual[data-highlight]").forEach((visual) => {
+    renderMatchHighlight(visual, JSON.parse(visual.dataset.highlight));
+  });
+  matchesContainer.querySelectorAll(".match-item").forEach((matchItem) => {
+    renderDownloadMenu(matchItem, matchItem.id.slice("match-".length));
+  });
+  matchesContainer.addEventListener("input", (event) => {
+    const menu = event.target.closest(".match-download");
+    if (menu) updateDownloadLinks(menu);
   });
 
   stopButton.addEventListener("click", () => {
     socket.emit("stopSearch");
   });
 
+  applyPatternsButton.addEventListener("click", () => {
+    const patternFiles = Array.from(
+      templateGrid.querySelectorAll("input[type=checkbox]:checked")
+    ).map((checkbox) => checkbox.value);
+    socket.emit("selectPatterns", patternFiles, (result) => {
+      if (result.success) {
+        showPatternMessage(`Now searching for: ${patternFiles.join(", ")}`);
+      } else {
+        showPatternMessage(result.error, true);
+      }
+    });
+  });
+
+  uploadPatternButton.addEventListener("click", () => {
+    const file = patternUploadInput.files[0];
+    if (!file) {
+      showPatternMessage("Choose a PNG file to upload first.", true);
+      return;
+    }
+    file.arrayBuffer().then((data) => {
+      socket.emit("uploadPattern", { fileName: file.name, data }, (result) => {
+        if (result.success) {
+          showPatternMessage(
+            `Uploaded '${result.fileName}'. Tick it and click "Use Selected Patterns" to search for it.`
+          );
+          patternUploadInput.value = "";
+        } else {
+          showPatternMessage(`Upload failed: ${result.error}`, true);
+        }
+      });
+    });
+  });
+
   // --- Socket.IO Event Handlers ---
   socket.on("initialData", (data) => {
     console.log("Received initial data:", data);
@@ -60,6 +566,12 @@ document.addEventListener("DOMContentLoaded", () => {
       isSearching: data.isSearching,
       searchedCount: data.searchedCount,
       foundCount: data.foundMatches.length,
+      patternCounts: data.patternCounts,
+      scanRate: data.scanRate,
+      coverage: data.coverage,
+      seed: data.seed,
+      generator: data.generator,
+      lastRun: data.lastRun,
     });
     // Clear existing matches (if any from EJS) before adding from socket,
     // or ensure EJS only renders if socket data isn't immediately available.
@@ -78,15 +590,52 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   });
 
+  socket.on("availablePatterns", (data) => {
+    renderTemplateGrid(data.templates, data.selected);
+  });
+
+  socket.on("patternsChanged", (data) => {
+    renderPatternList(data.patternFiles, data.patternCounts);
+    renderHitRatePatternOptions(data.patternFiles);
+  });
+
   socket.on("searchStatus", (status) => {
     updateSearchStatusUI(status);
   });
 
   socket.on("patternFound", (matchData) => {
     addMatchToUI(matchData);
-    // Update count separately if not included in patternFound event
+    // Update counts separately if not included in patternFound event
     matchesFoundCountSpan.textContent =
       parseInt(matchesFoundCountSpan.textContent || "0", 10) + 1;
+    const patternItem = patternList.querySelector(
+      `li[data-pattern="${CSS.escape(matchData.pattern)}"] .pattern-count`
+    );
+    if (patternItem) {
+      patternItem.textContent =
+        parseInt(patternItem.textContent || "0", 10) + 1;
+    }
+  });
+
+  // Matches deleted through the REST API.
+  socket.on("matchesDeleted", (data) => {
+    data.ids.forEach((id) => {
+      const matchItem = document.getElementById(`match-${id}`);
+      if (matchItem) matchItem.remove();
+    });
+    matchesFoundCountSpan.textContent = data.foundCount;
+    updatePatternCountsUI(data.patternCounts);
+  });
+
+  // Sent newest first; added oldest first so the newest ends up on top.
+  socket.on("matchesImported", (data) => {
+    data.matches
+      .slice()
+      .reverse()
+      .forEach((match) => addMatchToUI(match));
+    applyMatchOrder(); // Imported matches may be older than the ones shown.
+    matchesFoundCountSpan.textContent = data.foundCount;
+    updatePatternCountsUI(data.patternCounts);
   });
 
   socket.on("searchError", (errorMessage) => {
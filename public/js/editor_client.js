@@ -0,0 +1,166 @@
+// public/js/editor_client.js
+document.addEventListener("DOMContentLoaded", () => {
+  const socket = io("/editor");
+
+  // --- DOM Element References ---
+  const widthInput = document.getElementById("widthInput");
+  const heightInput = document.getElementById("heightInput");
+  const resizeButton = document.getElementById("resizeButton");
+  const clearButton = document.getElementById("clearButton");
+  const editorGrid = document.getElementById("editorGrid");
+  const asciiInput = document.getElementById("asciiInput");
+  const importTextButton = document.getElementById("importTextButton");
+  const exportTextButton = document.getElementById("exportTextButton");
+  const fileNameInput = document.getElementById("fileNameInput");
+  const overwriteInput = document.getElementById("overwriteInput");
+  const saveButton = document.getElementById("saveButton");
+  const editorMessage = document.getElementById("editorMessage");
+
+  const MAX_SIZE = 64; // Matches the server's limit for text templates.
+  // Cell states use the same characters as the ASCII-art format sent to the server.
+  const NEXT_CELL_STATE = { ".": "#", "#": "?", "?": "." };
+  const CELL_CLASSES = { "#": "black", ".": "white", "?": "dont-care" };
+
+  // --- Editor State ---
+  let cells = []; // cells[y][x] is '#', '.' or '?'
+
+  function clampSize(value) {
+    return Math.min(MAX_SIZE, Math.max(1, parseInt(value, 10) || 1));
+  }
+
+  // Resizes the grid, keeping existing cells and filling new ones with white.
+  function resizeCells(width, height) {
+    const resized = [];
+    for (let y = 0; y < height; y++) {
+      const row = [];
+      for (let x = 0; x < width; x++) {
+        row.push((cells[y] && cells[y][x]) || ".");
+      }
+      resized.push(row);
+    }
+    cells = resized;
+  }
+
+  function drawGrid() {
+    const width = cells[0].length;
+    editorGrid.innerHTML = "";
+    editorGrid.style.gridTemplateColumns = `repeat(${width}, 20px)`;
+    cells.forEach((row, y) => {
+      row.forEach((state, x) => {
+        const cell = document.createElement("div");
+        cell.classList.add("editor-cell", CELL_CLASSES[state]);
+        cell.dataset.x = x;
+        cell.dataset.y = y;
+        editorGrid.appendChild(cell);
+      });
+    });
+    widthInput.value = width;
+    heightInput.value = cells.length;
+  }
+
+  function toRows() {
+    return cells.map((row) => row.join(""));
+  }
+
+  function showMessage(message, isError = false) {
+    editorMessage.textContent = message;
+    editorMessage.classList.toggle("error", isError);
+  }
+
+  // Parses '#'/'.'/'?' ASCII art; blank lines are ignored and short rows padded with white.
+  function parseAscii(text) {
+    const lines = text
+      .split(/\r?\n/)
+      .map((line) => line.replace(/\s+$/, ""))
+      .filter((line) => line.length > 0);
+    if (lines.length === 0) {
+      throw new Error("Paste at least one row of '#', '.' or '?' characters.");
+    }
+    const width = Math.max(...lines.map((line) => line.length));
+    if (width > MAX_SIZE || lines.length > MAX_SIZE) {
+      throw new Error(`Patterns can be at most ${MAX_SIZE}x${MAX_SIZE} cells.`);
+    }
+    return lines.map((line, y) =>
+      line
+        .padEnd(width, ".")
+        .split("")
+        .map((char, x) => {
+          if (!CELL_CLASSES[char]) {
+            throw new Error(
+              `Unexpected character '${char}' at row ${y + 1}, column ${x + 1}.`
+            );
+          }
+          return char;
+        })
+    );
+  }
+
+  // --- Event Listeners ---
+  editorGrid.addEventListener("click", (event) => {
+    const cell = event.target.closest(".editor-cell");
+    if (!cell) return;
+    const x = parseInt(cell.dataset.x, 10);
+    const y = parseInt(cell.dataset.y, 10);
+    cells[y][x] = NEXT_CELL_STATE[cells[y][x]];
+    cell.className = `editor-cell ${CELL_CLASSES[cells[y][x]]}`;
+  });
+
+  resizeButton.addEventListener("click", () => {
+    resizeCells(clampSize(widthInput.value), clampSize(heightInput.value));
+    drawGrid();
+  });
+
+  clearButton.addEventListener("click", () => {
+    const width = cells[0].length;
+    const height = cells.length;
+    cells = [];
+    resizeCells(width, height);
+    drawGrid();
+  });
+
+  importTextButton.addEventListener("click", () => {
+    try {
+      cells = parseAscii(asciiInput.value);
+      drawGrid();
+      showMessage(`Imported a ${cells[0].length}x${cells.length} pattern.`);
+    } catch (error) {
+      showMessage(error.message, true);
+    }
+  });
+
+  exportTextButton.addEventListener("click", () => {
+    asciiInput.value = toRows().join("\n");
+  });
+
+  saveButton.addEventListener("click", () => {
+    let fileName = fileNameInput.value.trim();
+    if (!fileName) {
+      showMessage("Enter a file name first.", true);
+      return;
+    }
+    if (!/\.png$/i.test(fileName)) fileName += ".png";
+
+    socket.emit(
+      "saveTemplate",
+      { fileName, rows: toRows(), overwrite: overwriteInput.checked },
+      (result) => {
+        if (result.success) {
+          showMessage(
+            `Saved '${result.fileName}'. It is now available in the pattern picker.`
+          );
+        } else {
+          showMessage(`Save failed: ${result.error}`, true);
+        }
+      }
+    );
+  });
+
+  socket.on("connect_error", (err) => {
+    console.error("Socket connection error:", err);
+    showMessage("Cannot reach the server; saving is unavailable.", true);
+  });
+
+  // Initial setup
+  resizeCells(clampSize(widthInput.value), clampSize(heightInput.value));
+  drawGrid();
+});
@@ -7,47 +7,128 @@ const QRCodeService = require("./services/QRCodeService");
 const PatternMatcherService = require("./services/PatternMatcherService");
 
 // Unpack data passed from the main thread.
-const { uploadsDir, templatesDir, patternFile, qrSearchOptions } = workerData;
+const {
+  uploadsDir,
+  templatesDir,
+  patternFiles,
+  qrSearchOptions,
+  useBitPackedMatcher,
+  qrVariantSearch,
+  patternMatchOptions,
+} = workerData;
 
 // Initialize services with paths provided by the main thread.
 const qrCodeService = new QRCodeService(uploadsDir); // Primarily for generating Jimp image, not file saving here.
-const patternMatcherService = new PatternMatcherService(templatesDir);
+// One matcher per pattern; every generated QR is tested against all of them.
+const patternMatcherServices = [];
 
 let isPatternSuccessfullyLoaded = false;
 
+// The qrcode option sets each URL is rendered with: just qrSearchOptions, or (in variant
+// search mode) one per enabled mask pattern x error correction level combination.
+const qrOptionCombos = buildQrOptionCombos();
+
+function buildQrOptionCombos() {
+  if (!qrVariantSearch || !qrVariantSearch.enabled) return [qrSearchOptions];
+
+  const levels = qrVariantSearch.errorCorrectionLevels || [];
+  const masks = qrVariantSearch.maskPatterns || [];
+  const combos = [];
+  for (const errorCorrectionLevel of levels) {
+    for (const maskPattern of masks) {
+      combos.push({ ...qrSearchOptions, errorCorrectionLevel, maskPattern });
+    }
+  }
+  return combos.length > 0 ? combos : [qrSearchOptions];
+}
+
+// Renders `url` with one option set and tests it against every pattern. Each match is
+// tagged with its pattern filename and the qrOptions (EC level, mask, version) that
+// reproduce the symbol; maskPattern is null when the library picked it on the Jimp path.
+// Returns null if the QR couldn't be generated with these options (e.g. data too long).
+async function findMatchesWithOptions(url, options) {
+  const matches = [];
+  if (useBitPackedMatcher) {
+    // Fast path: build the module grid directly, no PNG encode/decode.
+    const bitGrid = qrCodeService.generateQRCodeBitGrid(url, options);
+    if (!bitGrid) return null;
+
+    const qrOptions = {
+      errorCorrectionLevel: options.errorCorrectionLevel,
+      maskPattern: bitGrid.qr.maskPattern,
+      version: bitGrid.qr.version,
+    };
+    for (const patternMatcherService of patternMatcherServices) {
+      const match = patternMatcherService.findPatternInBitGrid(bitGrid);
+      if (match) matches.push({ ...match, qrOptions });
+    }
+    return matches;
+  }
+
+  // Generate the QR code as a Jimp image once, then test it against every pattern.
+  const qrJimpImage = await qrCodeService.generateQRCodeToJimp(url, options);
+  if (!qrJimpImage) return null;
+
+  const qrGeometry = qrCodeService.getQrGeometry(
+    qrJimpImage.bitmap.width,
+    options
+  );
+  const qrOptions = {
+    errorCorrectionLevel: options.errorCorrectionLevel,
+    maskPattern: options.maskPattern === undefined ? null : options.maskPattern,
+    version: qrGeometry ? qrGeometry.layout.version : null,
+  };
+  for (const patternMatcherService of patternMatcherServices) {
+    const match = patternMatcherService.findPatternInQr(
+      qrJimpImage,
+      false,
+      qrGeometry
+    );
+    if (match) matches.push({ ...match, qrOptions });
+  }
+  return matches;
+}
+
 async function initialize() {
-  if (!patternFile) {
+  if (!patternFiles || patternFiles.length === 0) {
     // This case should ideally be prevented by the main thread, but good to have a guard.
     console.error(
-      `[Worker ${process.pid}] CRITICAL: No patternFile provided in workerData. Cannot initialize.`
+      `[Worker ${process.pid}] CRITICAL: No patternFiles provided in workerData. Cannot initialize.`
     );
     parentPort.postMessage({
       type: "error",
-      message: "Worker started without a patternFile.",
+      message: "Worker started without any patternFiles.",
     });
     return; // Do not proceed if no pattern file is specified.
   }
 
-  isPatternSuccessfullyLoaded = await patternMatcherService.loadPattern(
-    patternFile
-  );
-
-  if (!isPatternSuccessfullyLoaded) {
-    console.error(
-      `[Worker ${process.pid}] CRITICAL: Failed to load pattern '${patternFile}'. This worker will not process tasks effectively.`
-    );
-    // Notify main thread of the failure.
-    parentPort.postMessage({
-      type: "error",
-      message: `Worker failed to load pattern: ${patternFile}`,
-    });
-  } else {
-    console.log(
-      `[Worker ${process.pid}] Pattern '${patternFile}' loaded. Ready for tasks.`
+  for (const patternFile of patternFiles) {
+    const patternMatcherService = new PatternMatcherService(
+      templatesDir,
+      patternMatchOptions
     );
-    // Signal main thread that worker is initialized and ready.
-    parentPort.postMessage({ type: "ready" });
+    if (!(await patternMatcherService.loadPattern(patternFile))) {
+      console.error(
+        `[Worker ${process.pid}] CRITICAL: Failed to load pattern '${patternFile}'. This worker will not process tasks effectively.`
+      );
+      // Notify main thread of the failure.
+      parentPort.postMessage({
+        type: "error",
+        message: `Worker failed to load pattern: ${patternFile}`,
+      });
+      return;
+    }
+    patternMatcherServices.push(patternMatcherService);
   }
+
+  isPatternSuccessfullyLoaded = true;
+  console.log(
+    `[Worker ${process.pid}] Pattern(s) '${patternFiles.join(
+      "', '"
+    )}' loaded. Ready for tasks.`
+  );
+  // Signal main thread that worker is initialized and ready.
+  parentPort.postMessage({ type: "ready" });
 }
 
 parentPort.on("message", async (task) => {
@@ -57,15 +138,17 @@ parentPort.on("message", async (task) => {
   }
 
   if (!isPatternSuccessfullyLoaded) {
-    // If pattern isn't loaded, report an error for the task but don't crash.
+    // If patterns aren't loaded, report an error for the task but don't crash.
     // The main thread might decide to terminate this worker based on earlier init error.
     if (task.url) {
       // Only if it's a processURL task
       parentPort.postMessage({
         type: "result",
         url: task.url,
-        match: null,
-        error: `Pattern '${patternFile || "Unknown"}' not loaded in worker.`,
+        matches: [],
+        error: `Pattern(s) '${
+          (patternFiles || []).join("', '") || "Unknown"
+        }' not loaded in worker.`,
       });
     }
     return;
@@ -73,36 +156,44 @@ parentPort.on("message", async (task) => {
 
   if (task.type === "processURL") {
     const { url } = task;
-    let match = null;
+    const matches = [];
     let error = null;
 
     try {
-      // Generate QR code as a Jimp image.
-      const qrJimpImage = await qrCodeService.generateQRCodeToJimp(
-        url,
-        qrSearchOptions
-      );
-
-      if (qrJimpImage) {
-        // Attempt to find the pre-loaded pattern in the generated QR image.
-        match = patternMatcherService.findPatternInQr(qrJimpImage);
-      } else {
-        error = "Failed to generate QR Jimp image.";
+      // Keep the closest hit per pattern across all option combos (earlier combos win ties).
+      const bestByPattern = new Map();
+      let generatedCount = 0;
+      for (const options of qrOptionCombos) {
+        const comboMatches = await findMatchesWithOptions(url, options);
+        if (!comboMatches) continue;
+        generatedCount++;
+        for (const match of comboMatches) {
+          const best = bestByPattern.get(match.pattern);
+          if (!best || match.mismatches < best.mismatches) {
+            bestByPattern.set(match.pattern, match);
+          }
+        }
+      }
+      matches.push(...bestByPattern.values());
+      if (generatedCount === 0) {
+        error = useBitPackedMatcher
+          ? "Failed to generate QR bit grid."
+          : "Failed to generate QR Jimp image.";
       }
     } catch (e) {
       console.error(`[Worker ${process.pid}] Error processing URL ${url}:`, e);
       error = e.message || "Unknown error during URL processing.";
     }
 
-    // Send result (match or null) back to the main thread.
+    // Send results (possibly empty) back to the main thread.
     parentPort.postMessage({
       type: "result",
       url: url,
-      match: match,
+      matches: matches,
       error: error,
     });
   }
 });
 
-// Initialize the worker (e.g., load the pattern).
+// Initialize the worker (e.g., load the patterns).
 initialize();
@@ -4,14 +4,16 @@ const http = require("http");
 const { Server } = require("socket.io");
 const path = require("path");
 const fs = require("fs").promises;
-const os = require("os");
-const { Worker } = require("worker_threads");
-const Jimp = require("jimp");
 const inquirer = require("inquirer");
 
 const config = require("./config");
 const QRCodeService = require("./services/QRCodeService");
-const PatternMatcherService = require("./services/PatternMatcherService");
+const PatternTemplateService = require("./services/PatternTemplateService");
+const MatchStoreService = require("./services/MatchStoreService");
+const RunHistoryService = require("./services/RunHistoryService");
+const PatternHunterService = require("./services/PatternHunterService");
+const QRExportService = require("./services/QRExportService");
+const MatchCollectionService = require("./services/MatchCollectionService");
 // --- NEW GOL IMPORTS ---
 const GameOfLifeService = require("./services/GameOfLifeService");
 const QRToLifeGridConverter = require("./services/QRToLifeGridConverter");
@@ -21,11 +23,10 @@ const QRToLifeGridConverter = require("./services/QRToLifeGridConverter");
 const RUN_MATCHER_TEST_ONCE = true;
 const UPLOADS_DIR = path.join(__dirname, "uploads");
 const TEMPLATES_DIR = path.join(__dirname, "templates");
+const MATCH_STORE_FILE = path.resolve(__dirname, config.matchStoreFile);
+const RUN_HISTORY_FILE = path.resolve(__dirname, config.runHistoryFile);
 const STATUS_UPDATE_INTERVAL_MS = 250;
 
-const PURE_BLACK_INT = Jimp.rgbaToInt(0, 0, 0, 255);
-const PURE_WHITE_INT = Jimp.rgbaToInt(255, 255, 255, 255);
-
 // --- Express App & Server Setup ---
 const app = express();
 const server = http.createServer(app);
@@ -35,420 +36,559 @@ app.set("view engine", "ejs");
 app.set("views", path.join(__dirname, "views"));
 app.use(express.static(path.join(__dirname, "public")));
 app.use("/uploads", express.static(UPLOADS_DIR));
+app.use("/templates", express.static(TEMPLATES_DIR)); // Pattern previews for the picker.
 
 // --- Service Initialization ---
 const qrCodeService = new QRCodeService(UPLOADS_DIR);
-const mainThreadPatternMatcher = new PatternMatcherService(TEMPLATES_DIR);
+const patternTemplateService = new PatternTemplateService(TEMPLATES_DIR);
+const matchStore = new MatchStoreService(MATCH_STORE_FILE);
+const qrExportService = new QRExportService();
+const matchCollectionService = new MatchCollectionService((match) =>
+  qrCodeService.generateQRCodeToBuffer(
+    match.url,
+    patternHunter.matchPipeline.getDisplayOptionsForMatch(match.qrOptions)
+  )
+);
+// The search itself (URL generation, worker pool, matches); shared with cli.js.
+const patternHunter = new PatternHunterService({
+  config,
+  rootDir: __dirname,
+  uploadsDir: UPLOADS_DIR,
+  templatesDir: TEMPLATES_DIR,
+  qrCodeService,
+  patternTemplateService,
+  matchStore,
+  runHistory: new RunHistoryService(RUN_HISTORY_FILE),
+  runSelfTest: RUN_MATCHER_TEST_ONCE,
+});
 // --- NEW GOL SERVICE INSTANCES ---
 const gameOfLifeService = new GameOfLifeService();
 const qrToLifeGridConverter = new QRToLifeGridConverter();
 // --- END NEW GOL SERVICE INSTANCES ---
 
 // --- Global State (Pattern Hunter) ---
-let selectedPatternFile = null;
-let isSearching = false;
-let searchedCount = 0;
-let foundMatches = [];
-let testRunCompleted = !RUN_MATCHER_TEST_ONCE;
 let statusUpdateInterval = null;
 
-// Worker Pool State (Pattern Hunter)
-const numCPUs = os.cpus().length;
-const desiredWorkers = Math.max(1, numCPUs > 1 ? numCPUs - 1 : 1);
-const workerPool = [];
-const idleWorkers = [];
-const taskQueue = [];
-let workersSuccessfullyInitialized = 0;
-
-// --- Utility Functions ---
-function generateRandomUrl() {
-  let randomString = "";
-  for (let i = 0; i < config.randomStringLength; i++) {
-    randomString += config.randomStringCharset.charAt(
-      Math.floor(Math.random() * config.randomStringCharset.length)
-    );
-  }
-  if (config.urlTemplate.includes(config.randomStringPlaceholder)) {
-    return config.urlTemplate.replace(
-      config.randomStringPlaceholder,
-      randomString
-    );
+// --- Search Events (Pattern Hunter) ---
+patternHunter.on("status", (status) => {
+  io.emit("searchStatus", status); // Emits to global namespace for Pattern Hunter
+  if (status.isSearching) {
+    startStatusUpdater();
+  } else {
+    stopStatusUpdater();
   }
-  console.warn(
-    "[URL Generation] Placeholder missing in urlTemplate. Appending random string."
-  );
-  return config.urlTemplate + randomString;
-}
+});
+patternHunter.on("match", (matchData) => {
+  io.emit("patternFound", matchData); // Emits to global namespace for Pattern Hunter
+});
 
-// --- Worker Event Handlers (Pattern Hunter) ---
-function handleWorkerMessage(message, worker) {
-  if (message.type === "result") {
-    searchedCount++;
-    if (message.match) {
-      handleMatchFound(message.url, message.match);
+// --- HTTP Route Handlers ---
+// Pattern Hunter App Route
+app.get("/", async (req, res) => {
+  try {
+    if (patternHunter.selectedPatternFiles.length === 0) {
+      res
+        .status(500)
+        .send(
+          "Server error: No pattern file has been selected at startup. Please restart the server."
+        );
+      return;
     }
-    assignTaskToWorker(worker);
-  } else if (message.type === "ready") {
-    console.log(
-      `Worker ${worker.threadId} (PID: ${worker.pid || "N/A"}) reported ready.`
-    );
-    workersSuccessfullyInitialized++;
-    idleWorkers.push(worker);
-    assignTaskToWorker(worker);
-    if (workersSuccessfullyInitialized === desiredWorkers && isSearching) {
-      console.log(
-        "All desired (Pattern Hunter) workers initialized and ready for tasks."
-      );
+    const failedPatterns = await patternHunter.loadMainThreadPatterns();
+    if (failedPatterns.length > 0) {
+      const failureList = PatternHunterService.describeFailedPatterns(failedPatterns);
+      console.error(`[Route /] Failed to load pattern(s) ${failureList} on demand.`);
+      res
+        .status(500)
+        .send(
+          `Server error: Could not load selected pattern file(s) ${failureList}.`
+        );
+      return;
     }
-  } else if (message.type === "error") {
-    console.error(
-      `Error from Worker ${worker.threadId} (PID: ${worker.pid || "N/A"}): ${
-        message.message
-      }. Terminating.`
-    );
-    terminateAndReplaceWorker(worker);
-  }
-}
 
-function handleWorkerError(err, worker) {
-  console.error(
-    `Worker ${worker.threadId} (PID: ${worker.pid || "N/A"}) critical error:`,
-    err,
-    ". Terminating."
-  );
-  terminateAndReplaceWorker(worker);
-}
+    res.render("index", {
+      // Renders Pattern Hunter UI
+      initialSearchStatus: patternHunter.getSearchStatus(),
+      initialMatches: patternHunter.matchList.matches,
+      patternFiles: patternHunter.selectedPatternFiles,
+      urlGenerators: patternHunter.urlGenerators.list(),
+    });
+  } catch (routeError) {
+    console.error("[Route /] Error in root route handler:", routeError);
+    res.status(500).send("Server error. Please check server logs.");
+  }
+});
 
-function handleWorkerExit(code, worker) {
-  console.log(
-    `Pattern Hunter Worker ${worker.threadId} (PID: ${
-      worker.pid || "N/A"
-    }) exited with code ${code}.`
+// Display images of stored matches are deleted along with uploads/, so recreate them
+// on first request. Existing files are served by the static handler above.
+app.get("/uploads/:fileName", async (req, res, next) => {
+  const match = patternHunter.matchList.matches.find(
+    (m) => m.qrImageUrl === `/uploads/${req.params.fileName}`
   );
-  const poolIndex = workerPool.indexOf(worker);
-  if (poolIndex > -1) workerPool.splice(poolIndex, 1);
-  const idleIndex = idleWorkers.indexOf(worker);
-  if (idleIndex > -1) idleWorkers.splice(idleIndex, 1);
-  if (isSearching && code !== 0) {
-    console.log(
-      "Attempting to replace unexpectedly exited Pattern Hunter worker."
+  if (!match) {
+    next();
+    return;
+  }
+  try {
+    const displayQr = await qrCodeService.generateQRCodeToNamedFile(
+      match.url,
+      patternHunter.matchPipeline.getDisplayOptionsForMatch(match.qrOptions),
+      req.params.fileName
     );
-    createAndAddWorker();
+    if (!displayQr) {
+      res.status(500).send("Could not regenerate the QR image for this match.");
+      return;
+    }
+    res.sendFile(displayQr.filePath);
+  } catch (error) {
+    console.error(`[Route /uploads] Error regenerating '${req.params.fileName}':`, error);
+    res.status(500).send("Server error regenerating QR image.");
   }
-}
+});
 
-// --- Worker Management (Pattern Hunter) ---
-function createAndAddWorker() {
-  if (workerPool.length >= desiredWorkers) return null;
-  if (!selectedPatternFile) {
-    console.error(
-      "Cannot create Pattern Hunter worker: No pattern file has been selected."
-    );
-    return null;
+// Pattern Editor Route
+app.get("/editor", (req, res) => {
+  try {
+    res.render("editor");
+  } catch (error) {
+    console.error("[Route /editor] Error rendering Pattern Editor page:", error);
+    res.status(500).send("Server error loading Pattern Editor page.");
   }
+});
 
-  const worker = new Worker(path.join(__dirname, "qr_worker.js"), {
-    // This is the pattern hunter worker
-    workerData: {
-      uploadsDir: UPLOADS_DIR,
-      templatesDir: TEMPLATES_DIR,
-      patternFile: selectedPatternFile,
-      qrSearchOptions: config.qrSearchOptions,
-    },
-  });
-  workerPool.push(worker);
+// --- NEW: Game of Life App Route ---
+app.get("/life", (req, res) => {
+  try {
+    // Pass any necessary initial data to the GOL template if needed
+    // For now, just render it. Client-side JS will request the board.
+    res.render("life", {
+      // Example: pass GOL config if you add it
+      // gameOfLifeConfig: config.gameOfLife || {}
+    });
+  } catch (error) {
+    console.error("[Route /life] Error rendering Game of Life page:", error);
+    res.status(500).send("Server error loading Game of Life page.");
+  }
+});
+// --- END NEW GOL ROUTE ---
+
+// --- REST API (Pattern Hunter) ---
+// JSON equivalents of the Socket.IO controls, for scripts and dashboards. Replies use the
+// same {success, error} shape as the socket acks; socket clients see the effects live.
+const API_DEFAULT_PAGE_SIZE = 50;
+const API_MAX_PAGE_SIZE = 500;
+
+const API_IMPORT_LIMIT = "200mb";
 
-  worker.on("message", (message) => handleWorkerMessage(message, worker));
-  worker.on("error", (err) => handleWorkerError(err, worker));
-  worker.on("exit", (code) => handleWorkerExit(code, worker));
+// Imports are zip or JSON files of any size; parsed raw here, so the JSON parser skips them.
+app.use("/api/matches/import", express.raw({ type: () => true, limit: API_IMPORT_LIMIT }));
+app.use("/api", express.json({ limit: "100kb" }));
 
-  return worker;
+function sendApiError(res, statusCode, error) {
+  res.status(statusCode).json({ success: false, error });
 }
 
-function assignTaskToWorker(worker) {
-  if (!worker || typeof worker.postMessage !== "function") return;
+// Non-negative integer query parameter, or `fallback` when absent. NaN when malformed.
+function parseQueryInteger(value, fallback) {
+  if (value === undefined) return fallback;
+  return /^\d+$/.test(value) ? Number(value) : NaN;
+}
 
-  if (taskQueue.length > 0 && isSearching) {
-    const task = taskQueue.shift();
-    worker.postMessage(task);
-    const idleIndex = idleWorkers.indexOf(worker);
-    if (idleIndex > -1) idleWorkers.splice(idleIndex, 1);
-  } else {
-    if (!idleWorkers.includes(worker) && workerPool.includes(worker)) {
-      idleWorkers.push(worker);
-    }
+async function deleteMatchesAndAnnounce(ids) {
+  const deletedMatches = await patternHunter.matchList.delete(ids);
+  if (deletedMatches.length > 0) {
+    io.emit("matchesDeleted", {
+      ids: deletedMatches.map((match) => match.id),
+      foundCount: patternHunter.matchList.matches.length,
+      patternCounts: patternHunter.matchList.countsByPattern,
+    });
   }
+  return deletedMatches;
 }
 
-function terminateAndReplaceWorker(workerToReplace) {
-  const poolIndex = workerPool.indexOf(workerToReplace);
-  if (poolIndex > -1) workerPool.splice(poolIndex, 1);
-  const idleIndex = idleWorkers.indexOf(workerToReplace);
-  if (idleIndex > -1) idleWorkers.splice(idleIndex, 1);
+app.get("/api/status", (req, res) => {
+  res.json({
+    success: true,
+    status: {
+      ...patternHunter.getSearchStatus(),
+      patternFiles: patternHunter.selectedPatternFiles,
+    },
+  });
+});
 
-  console.log(
-    `Terminating Pattern Hunter worker ${workerToReplace.threadId}...`
-  );
-  workerToReplace
-    .terminate()
-    .catch((err) =>
-      console.error(
-        `Error terminating Pattern Hunter worker ${workerToReplace.threadId}:`,
-        err
-      )
-    );
+app.get("/api/generators", (req, res) => {
+  res.json({ success: true, generators: patternHunter.urlGenerators.list() });
+});
+
+// Body (all optional): { patterns: ["a.png"], generator: "word", seed: "abc",
+// stopConditions: { maxScans, maxMatches, maxDurationMs, minHitRate: { rate, pattern, minScans } } }.
+// `patterns` switches the selected patterns first, like "Change Patterns" in the UI.
+app.post("/api/search/start", async (req, res) => {
+  const body = req.body || {};
+  if (typeof body !== "object" || Array.isArray(body)) {
+    sendApiError(res, 400, "Expected a JSON object.");
+    return;
+  }
+  if (patternHunter.isSearching) {
+    sendApiError(res, 409, "Search is already in progress.");
+    return;
+  }
+  try {
+    if (body.patterns !== undefined) {
+      const selection = await patternHunter.applyPatternSelection(body.patterns);
+      if (!selection.success) {
+        sendApiError(res, 400, selection.error);
+        return;
+      }
+      announcePatternChange();
+    }
+    const result = await patternHunter.startSearch({
+      seed: body.seed,
+      generator: body.generator,
+      stopConditions: body.stopConditions,
+    });
+    if (!result.success) {
+      sendApiError(res, 400, result.error);
+      return;
+    }
+    res.json({ success: true, status: patternHunter.getSearchStatus() });
+  } catch (error) {
+    console.error("[API] Error starting search:", error);
+    sendApiError(res, 500, "Server error starting search.");
+  }
+});
+
+app.post("/api/search/stop", async (req, res) => {
+  if (!patternHunter.isSearching) {
+    sendApiError(res, 409, "Search is not running.");
+    return;
+  }
+  try {
+    await patternHunter.stopSearch();
+    res.json({ success: true, status: patternHunter.getSearchStatus() });
+  } catch (error) {
+    console.error("[API] Error stopping search:", error);
+    sendApiError(res, 500, "Server error stopping search.");
+  }
+});
+
+const MATCH_FILTER_KEYS = [
+  "pattern",
+  "generator",
+  "payloadType",
+  "availability",
+  "verification",
+  "minScore",
+];
+
+// Why the sort or minScore of a match query is invalid, or null if they're fine.
+function getMatchQueryError(query) {
+  if (query.sort !== undefined && !["newest", "score"].includes(query.sort)) {
+    return "sort must be newest or score.";
+  }
+  if (query.minScore !== undefined && !(Number(query.minScore) >= 0 && Number(query.minScore) <= 100)) {
+    return "minScore must be a number from 0 to 100.";
+  }
+  return null;
 }
 
-// --- Search Logic & Scheduling (Pattern Hunter) ---
-async function handleMatchFound(url, matchLocation, isTest = false) {
-  const displayQr = await qrCodeService.generateQRCodeToFile(
-    url,
-    config.qrDisplayOptions,
-    isTest ? "testmatch" : "match"
+// Matches passing the filters in a query (pattern, generator, payloadType, availability,
+// verification and minScore), newest first, or highest score first with sort=score.
+function filterMatches(query) {
+  const { pattern, generator, payloadType, availability, verification } = query;
+  const minScore = query.minScore === undefined ? null : Number(query.minScore);
+  const matches = patternHunter.matchList.matches.filter(
+    (match) =>
+      (pattern === undefined || match.pattern === pattern) &&
+      (generator === undefined || (match.generator || "default") === generator) &&
+      (payloadType === undefined || (match.payloadType || "url") === payloadType) &&
+      (availability === undefined ||
+        (match.availability ? match.availability.status : "unknown") === availability) &&
+      (verification === undefined ||
+        (match.verification ? match.verification.status : "none") === verification) &&
+      (minScore === null || (match.score ? match.score.total : 0) >= minScore)
   );
+  if (query.sort === "score") {
+    matches.sort((a, b) => (b.score ? b.score.total : 0) - (a.score ? a.score.total : 0));
+  }
+  return matches;
+}
 
-  if (displayQr) {
-    const matchData = {
-      id: `match_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
-      url: url,
-      qrImageUrl: displayQr.urlPath,
-      pattern: matchLocation.pattern,
-      location: { x: matchLocation.x, y: matchLocation.y },
-      timestamp: new Date().toLocaleTimeString(),
-      isTestMatch: isTest,
-    };
-    foundMatches.unshift(matchData);
-    io.emit("patternFound", matchData); // Emits to global namespace for Pattern Hunter
-    console.log(
-      `${isTest ? "[SELF-TEST] " : ""}MATCH FOUND: URL: ${url}, Pattern: ${
-        matchData.pattern
-      } at (${matchData.location.x},${matchData.location.y})`
+// Newest first (sort=score for highest score first). Query: offset, limit (max 500), and
+// filters pattern, generator, payloadType, availability (available|taken|unknown),
+// verification (verified|failed|none) and minScore (0-100).
+app.get("/api/matches", (req, res) => {
+  const offset = parseQueryInteger(req.query.offset, 0);
+  const limit = parseQueryInteger(req.query.limit, API_DEFAULT_PAGE_SIZE);
+  if (Number.isNaN(offset) || Number.isNaN(limit) || limit < 1 || limit > API_MAX_PAGE_SIZE) {
+    sendApiError(
+      res,
+      400,
+      `offset must be a whole number and limit between 1 and ${API_MAX_PAGE_SIZE}.`
     );
+    return;
   }
-}
+  const queryError = getMatchQueryError(req.query);
+  if (queryError) {
+    sendApiError(res, 400, queryError);
+    return;
+  }
+  const matches = filterMatches(req.query);
+  res.json({
+    success: true,
+    total: matches.length,
+    offset,
+    limit,
+    matches: matches.slice(offset, offset + limit),
+  });
+});
 
-async function runMainThreadSelfTest() {
-  if (!selectedPatternFile) {
-    console.error("[SELF-TEST] No pattern file selected. Skipping self-test.");
-    testRunCompleted = true;
+// Downloads the matches passing the same filters as GET /api/matches (self-test matches
+// left out) as format=csv, json or zip (display PNGs plus manifest.json).
+app.get("/api/matches/export", async (req, res) => {
+  const format = req.query.format || "json";
+  if (!MatchCollectionService.FORMATS.includes(format)) {
+    sendApiError(res, 400, `format must be one of: ${MatchCollectionService.FORMATS.join(", ")}.`);
     return;
   }
-  if (
-    !mainThreadPatternMatcher.patternMatrix ||
-    !mainThreadPatternMatcher.patternImage
-  ) {
-    console.error(
-      `[SELF-TEST] Pattern '${selectedPatternFile}' not properly loaded in mainThreadPatternMatcher. Skipping self-test.`
-    );
-    testRunCompleted = true;
+  const queryError = getMatchQueryError(req.query);
+  if (queryError) {
+    sendApiError(res, 400, queryError);
     return;
   }
+  const matches = filterMatches(req.query).filter((match) => !match.isTestMatch);
+  const filters = {};
+  MATCH_FILTER_KEYS.forEach((key) => {
+    if (req.query[key] !== undefined) filters[key] = req.query[key];
+  });
+  const fileName = `matches_${new Date().toISOString().replace(/[-:]|\.\d+/g, "")}.${format}`;
 
-  console.log(
-    `[SELF-TEST - Scan ${searchedCount + 1}] Simulating QR with pattern: ${
-      mainThreadPatternMatcher.patternFileName
-    }`
-  );
-  const testUrl = "self_test_mock_pattern_main_thread";
-
-  const mockQrWidth = mainThreadPatternMatcher.patternWidth + 5;
-  const mockQrHeight = mainThreadPatternMatcher.patternHeight + 5;
-  const qrJimpImage = new Jimp(mockQrWidth, mockQrHeight, PURE_WHITE_INT);
-  const testPatternX = 2,
-    testPatternY = 2;
-
-  qrJimpImage.blit(
-    mainThreadPatternMatcher.patternImage,
-    testPatternX,
-    testPatternY
-  );
+  let body;
+  try {
+    if (format === "csv") {
+      body = matchCollectionService.toCsv(matches);
+    } else if (format === "json") {
+      body = JSON.stringify(matchCollectionService.toCollection(matches, { filters }));
+    } else {
+      body = await matchCollectionService.toZip(matches, { filters });
+    }
+  } catch (error) {
+    console.error("[API] Error exporting matches:", error);
+    sendApiError(res, 500, "Server error exporting matches.");
+    return;
+  }
+  res.attachment(fileName); // Sets the content type from the extension.
+  res.send(body);
+});
 
+// Merges a collection from GET /api/matches/export (zip or JSON body) into this server's
+// matches; open browsers get the new cards. Matches already here are skipped.
+app.post("/api/matches/import", async (req, res) => {
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    sendApiError(res, 400, "Send a zip bundle or JSON collection as the request body.");
+    return;
+  }
+  let collection;
   try {
-    await qrJimpImage.writeAsync(
-      path.join(UPLOADS_DIR, "mock_qr_main_thread_test.png")
-    );
+    collection = matchCollectionService.parse(req.body);
   } catch (e) {
-    console.warn("[SELF-TEST] Could not save mock QR image:", e);
+    sendApiError(res, 400, e.message);
+    return;
   }
-
-  const matchLocation = mainThreadPatternMatcher.findPatternInQr(
-    qrJimpImage,
-    true
-  );
-
-  if (matchLocation) {
-    await handleMatchFound(testUrl, matchLocation, true);
-  } else {
-    console.log(
-      "[SELF-TEST] No match found in its own mock QR. Check pattern/logic."
-    );
+  let result;
+  try {
+    result = await patternHunter.importMatches(collection.matches);
+  } catch (error) {
+    console.error("[API] Error importing matches:", error);
+    sendApiError(res, 500, "Server error importing matches.");
+    return;
   }
-  searchedCount++;
-  testRunCompleted = true;
-}
-
-async function mainSearchScheduler() {
-  if (!isSearching) return;
-
-  if (RUN_MATCHER_TEST_ONCE && !testRunCompleted) {
-    await runMainThreadSelfTest();
-    io.emit("searchStatus", {
-      // Emits to global namespace for Pattern Hunter
-      searchedCount,
-      isSearching,
-      foundCount: foundMatches.length,
+  const { imported, duplicates, invalid } = result;
+  if (imported.length > 0) {
+    io.emit("matchesImported", {
+      matches: imported,
+      foundCount: patternHunter.matchList.matches.length,
+      patternCounts: patternHunter.matchList.countsByPattern,
     });
   }
+  res.json({ success: true, imported: imported.length, duplicates, invalid });
+});
 
-  const maxQueueSize = desiredWorkers * 3;
-  while (isSearching && taskQueue.length < maxQueueSize) {
-    taskQueue.push({ type: "processURL", url: generateRandomUrl() });
+app.get("/api/matches/:id", (req, res) => {
+  const match = patternHunter.matchList.matches.find((m) => m.id === req.params.id);
+  if (!match) {
+    sendApiError(res, 404, `No match with id '${req.params.id}'.`);
+    return;
   }
+  res.json({ success: true, match });
+});
 
-  while (idleWorkers.length > 0 && taskQueue.length > 0 && isSearching) {
-    const worker = idleWorkers.shift();
-    const task = taskQueue.shift();
-    if (worker) worker.postMessage(task);
+// Downloads a match's QR for print. Query: format (svg|png|pdf), dark, light, highlightColor,
+// margin (quiet zone, in modules), highlight (1 outlines the matched motif), scale (PNG
+// pixels per module) and sizeMm (SVG/PDF width). See QRExportService.normalizeOptions.
+app.get("/api/matches/:id/export", async (req, res) => {
+  const match = patternHunter.matchList.matches.find((m) => m.id === req.params.id);
+  if (!match) {
+    sendApiError(res, 404, `No match with id '${req.params.id}'.`);
+    return;
   }
-
-  if (isSearching) {
-    setTimeout(mainSearchScheduler, config.delayBetweenBatchesMs);
+  const { options, error } = QRExportService.normalizeOptions(req.query, {
+    margin: config.qrDisplayOptions.margin,
+  });
+  if (error) {
+    sendApiError(res, 400, error);
+    return;
   }
-}
+  let file;
+  try {
+    file = await qrExportService.render(
+      match.url,
+      patternHunter.matchPipeline.getDisplayOptionsForMatch(match.qrOptions),
+      patternHunter.matchPipeline.getMatchModuleRegions(
+        match.url,
+        match.qrOptions,
+        match.occurrences || []
+      ),
+      options
+    );
+  } catch (e) {
+    sendApiError(res, 400, `Could not export this match: ${e.message}`);
+    return;
+  }
+  res.type(file.contentType);
+  res.attachment(`${match.id}.${file.extension}`);
+  res.send(file.buffer);
+});
 
-// --- HTTP Route Handlers ---
-// Pattern Hunter App Route
-app.get("/", async (req, res) => {
+app.delete("/api/matches/:id", async (req, res) => {
   try {
-    if (!selectedPatternFile) {
-      res
-        .status(500)
-        .send(
-          "Server error: No pattern file has been selected at startup. Please restart the server."
-        );
+    const deletedMatches = await deleteMatchesAndAnnounce([req.params.id]);
+    if (deletedMatches.length === 0) {
+      sendApiError(res, 404, `No match with id '${req.params.id}'.`);
       return;
     }
-    if (!mainThreadPatternMatcher.patternMatrix) {
-      console.log(
-        `[Route /] Main thread pattern '${selectedPatternFile}' not yet loaded for display, attempting now...`
-      );
-      const loaded = await mainThreadPatternMatcher.loadPattern(
-        selectedPatternFile
-      );
-      if (!loaded) {
-        console.error(
-          `[Route /] Failed to load pattern '${selectedPatternFile}' on demand.`
-        );
-        res
-          .status(500)
-          .send(
-            `Server error: Could not load selected pattern file '${selectedPatternFile}'.`
-          );
-        return;
-      }
-    }
-
-    res.render("index", {
-      // Renders Pattern Hunter UI
-      initialSearchStatus: {
-        searchedCount,
-        isSearching,
-        foundCount: foundMatches.length,
-      },
-      initialMatches: foundMatches,
-      patternFile:
-        mainThreadPatternMatcher.patternFileName || selectedPatternFile,
-    });
-  } catch (routeError) {
-    console.error("[Route /] Error in root route handler:", routeError);
-    res.status(500).send("Server error. Please check server logs.");
+    res.json({ success: true, deleted: 1 });
+  } catch (error) {
+    console.error(`[API] Error deleting match '${req.params.id}':`, error);
+    sendApiError(res, 500, "Server error deleting match.");
   }
 });
 
-// --- NEW: Game of Life App Route ---
-app.get("/life", (req, res) => {
+// Body: { ids: ["match_...", ...] }. Unknown ids are skipped.
+app.delete("/api/matches", async (req, res) => {
+  const ids = req.body && req.body.ids;
+  if (!Array.isArray(ids) || ids.length === 0 || !ids.every((id) => typeof id === "string")) {
+    sendApiError(res, 400, "Expected { ids: [...] } with at least one match id.");
+    return;
+  }
   try {
-    // Pass any necessary initial data to the GOL template if needed
-    // For now, just render it. Client-side JS will request the board.
-    res.render("life", {
-      // Example: pass GOL config if you add it
-      // gameOfLifeConfig: config.gameOfLife || {}
-    });
+    const deletedMatches = await deleteMatchesAndAnnounce(ids);
+    res.json({ success: true, deleted: deletedMatches.length });
   } catch (error) {
-    console.error("[Route /life] Error rendering Game of Life page:", error);
-    res.status(500).send("Server error loading Game of Life page.");
+    console.error("[API] Error deleting matches:", error);
+    sendApiError(res, 500, "Server error deleting matches.");
   }
 });
-// --- END NEW GOL ROUTE ---
+
+app.use("/api", (req, res) => {
+  sendApiError(res, 404, `No API endpoint ${req.method} ${req.originalUrl}.`);
+});
+
+// Malformed JSON bodies and other errors in API routes.
+app.use("/api", (err, req, res, next) => {
+  if (err.type === "entity.parse.failed") {
+    sendApiError(res, 400, `Invalid JSON body: ${err.message}`);
+    return;
+  }
+  console.error(`[API] Error handling ${req.method} ${req.originalUrl}:`, err);
+  sendApiError(res, err.status || 500, err.expose ? err.message : "Server error.");
+});
 
 // --- Socket.IO Event Handlers ---
 
 // Main namespace for Pattern Hunter App
 io.on("connection", (socket) => {
   console.log("Client connected to main namespace:", socket.id);
+  const status = patternHunter.getSearchStatus();
   socket.emit("initialData", {
-    isSearching,
-    searchedCount,
-    foundMatches,
-    patternFile:
-      mainThreadPatternMatcher.patternFileName || selectedPatternFile,
+    isSearching: status.isSearching,
+    searchedCount: status.searchedCount,
+    foundMatches: patternHunter.matchList.matches,
+    patternFiles: patternHunter.selectedPatternFiles,
+    patternCounts: status.patternCounts,
+    scanRate: status.scanRate,
+    coverage: status.coverage,
+    seed: status.seed,
+    generator: status.generator,
+    lastRun: status.lastRun,
+    urlGenerators: patternHunter.urlGenerators.list(),
   });
 
-  socket.on("startSearch", async () => {
-    if (isSearching) {
-      console.log(
-        "Pattern Hunter: Search start request ignored, already running."
-      );
-      socket.emit("searchError", "Search is already in progress.");
-      return;
+  // options: { seed, generator, stopConditions } - all optional. A run started with a previous
+  // run's seed (and generator) scans the same URLs.
+  socket.on("startSearch", async (options) => {
+    try {
+      const result = await patternHunter.startSearch(isPlainObject(options) ? options : {});
+      if (!result.success) {
+        socket.emit("searchError", result.error);
+      }
+    } catch (error) {
+      console.error("[Socket] Error starting search:", error);
+      socket.emit("searchError", "Server error starting search.");
     }
-    if (!selectedPatternFile) {
-      socket.emit(
-        "searchError",
-        "Cannot start search: No pattern file was selected at server startup."
-      );
-      return;
+  });
+
+  emitAvailablePatterns(socket);
+
+  socket.on("selectPatterns", async (patternFiles, ack) => {
+    const reply = typeof ack === "function" ? ack : () => {};
+    try {
+      const result = await patternHunter.applyPatternSelection(patternFiles);
+      reply(result);
+      if (result.success) {
+        announcePatternChange();
+      }
+    } catch (error) {
+      console.error("[Socket] Error in selectPatterns:", error);
+      reply({ success: false, error: "Server error changing patterns." });
     }
-    if (
-      RUN_MATCHER_TEST_ONCE &&
-      !(await ensureMainPatternLoadedForTest(socket))
-    ) {
+  });
+
+  // upload: { fileName, data } with data as binary (Buffer) or an array of bytes.
+  socket.on("uploadPattern", async (upload, ack) => {
+    const reply = typeof ack === "function" ? ack : () => {};
+    if (!isPlainObject(upload)) {
+      reply({ success: false, error: "Expected { fileName, data }." });
       return;
     }
-
-    initializeSearchStateForStart();
-    await resetAndInitializeWorkerPool();
-
-    io.emit("searchStatus", {
-      // Emits to global namespace
-      searchedCount,
-      isSearching,
-      foundCount: foundMatches.length,
-    });
-    mainSearchScheduler();
-    startStatusUpdater();
+    try {
+      const data = Buffer.isBuffer(upload.data)
+        ? upload.data
+        : Buffer.from(Array.isArray(upload.data) ? upload.data : []);
+      const result = await patternTemplateService.saveTemplate(
+        upload.fileName,
+        data
+      );
+      reply(result);
+      if (result.success) {
+        emitAvailablePatterns(io);
+      }
+    } catch (error) {
+      console.error("[Socket] Error in uploadPattern:", error);
+      reply({ success: false, error: "Server error saving pattern." });
+    }
   });
 
   socket.on("stopSearch", () => {
-    if (!isSearching) {
+    if (!patternHunter.isSearching) {
       console.log(
         "Pattern Hunter: Search stop request ignored, not currently running."
       );
       return;
     }
-    isSearching = false;
-    console.log(
-      "Pattern Hunter: Search stopping... Clearing task queue and signaling workers."
-    );
-    taskQueue.length = 0;
-    shutdownActiveWorkers();
-    stopStatusUpdater();
-    io.emit("searchStatus", {
-      // Emits to global namespace
-      searchedCount,
-      isSearching,
-      foundCount: foundMatches.length,
-    });
+    patternHunter
+      .stopSearch()
+      .catch((error) => console.error("[Socket] Error stopping search:", error));
   });
 
   socket.on("disconnect", () => {
@@ -456,6 +596,36 @@ io.on("connection", (socket) => {
   });
 });
 
+// --- Pattern Editor Socket.IO Namespace ---
+const editorNamespace = io.of("/editor");
+
+editorNamespace.on("connection", (socket) => {
+  console.log("Client connected to /editor namespace:", socket.id);
+
+  // data: { fileName, rows: ["#..#", ...], overwrite }
+  socket.on("saveTemplate", async (data = {}, ack) => {
+    const reply = typeof ack === "function" ? ack : () => {};
+    try {
+      const result = await patternTemplateService.saveTextTemplate(
+        data.fileName,
+        data.rows,
+        { overwrite: !!data.overwrite }
+      );
+      reply(result);
+      if (result.success) {
+        emitAvailablePatterns(io); // Refresh the pattern picker on the hunter page.
+      }
+    } catch (error) {
+      console.error("[Editor] Error in saveTemplate:", error);
+      reply({ success: false, error: "Server error saving template." });
+    }
+  });
+
+  socket.on("disconnect", () => {
+    console.log("Client disconnected from /editor namespace:", socket.id);
+  });
+});
+
 // --- NEW: Game of Life Socket.IO Namespace ---
 const lifeNamespace = io.of("/life");
 
@@ -464,7 +634,7 @@ lifeNamespace.on("connection", (socket) => {
 
   socket.on("generateLifeFromQR", async (data = {}) => {
     try {
-      const urlToEncode = data.url || generateRandomUrl(); // Use provided URL or generate random
+      const urlToEncode = data.url || patternHunter.generateRandomUrl(); // Use provided URL or generate random
       // console.log(`[GOL] Generating QR for URL: ${urlToEncode}`);
 
       // Generate QR to Jimp. Use less strict QR options for GOL, e.g., allow smaller scale
@@ -541,82 +711,33 @@ lifeNamespace.on("connection", (socket) => {
 // --- END NEW GOL NAMESPACE ---
 
 // --- Pattern Hunter Specific Socket.IO Functions ---
-async function ensureMainPatternLoadedForTest(socket) {
-  // This is for Pattern Hunter
-  if (!selectedPatternFile) {
-    const errorMsg =
-      "Cannot start search: No pattern file was selected at server startup.";
-    console.error(errorMsg);
-    socket.emit("searchError", errorMsg);
-    return false;
-  }
-  if (!mainThreadPatternMatcher.patternMatrix) {
-    console.log(
-      `[Socket StartSearch] Main thread pattern '${selectedPatternFile}' not loaded, attempting for self-test...`
-    );
-    const mainPatternLoaded = await mainThreadPatternMatcher.loadPattern(
-      selectedPatternFile
-    );
-    if (!mainPatternLoaded) {
-      const errorMsg = `Main thread failed to load pattern '${selectedPatternFile}' for self-test. Cannot start search.`;
-      console.error(errorMsg);
-      socket.emit("searchError", errorMsg);
-      return false;
-    }
-  }
-  return true;
+// Socket payloads come straight from clients; null and arrays are objects too.
+function isPlainObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
 }
 
-function initializeSearchStateForStart() {
-  // This is for Pattern Hunter
-  isSearching = true;
-  testRunCompleted = !RUN_MATCHER_TEST_ONCE;
-  searchedCount = 0;
-  workersSuccessfullyInitialized = 0;
-  idleWorkers.length = 0;
-  taskQueue.length = 0;
+function announcePatternChange() {
+  io.emit("patternsChanged", {
+    patternFiles: patternHunter.selectedPatternFiles,
+    patternCounts: patternHunter.matchList.countsByPattern,
+  });
+  emitAvailablePatterns(io);
 }
 
-async function resetAndInitializeWorkerPool() {
-  // This is for Pattern Hunter
-  console.log(
-    `Pattern Hunter: Starting search... Terminating any existing workers.`
-  );
-  while (workerPool.length > 0) {
-    const oldWorker = workerPool.pop();
-    if (oldWorker) {
-      await oldWorker
-        .terminate()
-        .catch((e) =>
-          console.error(`Error terminating old Pattern Hunter worker: ${e}`)
-        );
-    }
-  }
-
-  console.log(`Pattern Hunter: Creating up to ${desiredWorkers} new workers.`);
-  if (!selectedPatternFile) {
-    console.error(
-      "Pattern Hunter: Cannot initialize worker pool: No pattern selected."
-    );
-    return;
-  }
-  for (let i = 0; i < desiredWorkers; i++) {
-    createAndAddWorker();
-  }
+async function emitAvailablePatterns(target) {
+  target.emit("availablePatterns", {
+    templates: await patternTemplateService.listTemplates(),
+    selected: patternHunter.selectedPatternFiles,
+  });
 }
 
 function startStatusUpdater() {
   // This is for Pattern Hunter
   if (statusUpdateInterval) clearInterval(statusUpdateInterval);
   statusUpdateInterval = setInterval(() => {
-    if (isSearching) {
+    if (patternHunter.isSearching) {
       // Only emit if Pattern Hunter is actively searching
-      io.emit("searchStatus", {
-        // Emits to global namespace
-        searchedCount,
-        isSearching,
-        foundCount: foundMatches.length,
-      });
+      io.emit("searchStatus", patternHunter.getSearchStatus()); // Emits to global namespace
     }
   }, STATUS_UPDATE_INTERVAL_MS);
 }
@@ -629,24 +750,10 @@ function stopStatusUpdater() {
   }
 }
 
-function shutdownActiveWorkers() {
-  // This is for Pattern Hunter
-  console.log("Pattern Hunter: Signaling workers to shut down...");
-  [...workerPool].forEach((worker) => {
-    if (worker && typeof worker.postMessage === "function") {
-      worker.postMessage({ type: "shutdown" });
-    }
-  });
-  idleWorkers.length = 0;
-}
-
 // --- Application Startup ---
-async function selectPatternFile() {
+async function selectPatternFiles() {
   try {
-    const files = await fs.readdir(TEMPLATES_DIR);
-    const imageFiles = files.filter((file) =>
-      /\.(png|jpe?g|gif|bmp)$/i.test(file)
-    );
+    const imageFiles = await patternTemplateService.listTemplates();
 
     if (imageFiles.length === 0) {
       console.error(
@@ -655,7 +762,7 @@ async function selectPatternFile() {
       console.error(
         "Please add at least one pattern image (e.g., .png, .jpg) to the templates folder."
       );
-      return null;
+      return [];
     }
     const promptFn =
       inquirer.prompt || (inquirer.default && inquirer.default.prompt);
@@ -667,49 +774,87 @@ async function selectPatternFile() {
     }
     const answers = await promptFn([
       {
-        type: "list",
-        name: "pattern",
-        message: "Select a pattern file to search for:",
+        type: "checkbox",
+        name: "patterns",
+        message:
+          "Select the pattern file(s) to search for (space to toggle, enter to confirm):",
         choices: imageFiles,
+        validate: (selected) =>
+          selected.length > 0 || "Select at least one pattern file.",
       },
     ]);
-    return answers.pattern;
+    return answers.patterns;
   } catch (err) {
     console.error("Error during pattern selection:", err);
-    return null;
+    return [];
   }
 }
 
+// Deletes leftover images (self-test mocks, old test matches) but keeps the display
+// images of stored matches.
+async function cleanUploadsDir() {
+  const keptFiles = new Set(
+    patternHunter.matchList.matches.map((match) => path.basename(match.qrImageUrl || ""))
+  );
+  let files;
+  try {
+    files = await fs.readdir(UPLOADS_DIR);
+  } catch (e) {
+    if (e.code !== "ENOENT") {
+      console.error("Could not read uploads directory:", e);
+    }
+    return;
+  }
+  const staleFiles = files.filter((file) => !keptFiles.has(file));
+  for (const file of staleFiles) {
+    try {
+      await fs.rm(path.join(UPLOADS_DIR, file), { recursive: true, force: true });
+    } catch (e) {
+      console.error(`Could not remove '${file}' from uploads directory:`, e);
+    }
+  }
+  console.log(
+    `Cleaned uploads directory (${staleFiles.length} file(s) removed, ${
+      files.length - staleFiles.length
+    } kept).`
+  );
+}
+
 async function main() {
-  selectedPatternFile = await selectPatternFile();
-  if (!selectedPatternFile) {
+  const selectedPatternFiles = await selectPatternFiles();
+  if (selectedPatternFiles.length === 0) {
     console.error(
       "No pattern file selected for Pattern Hunter or an error occurred. Exiting."
     );
     process.exit(1);
   }
-  console.log(`Pattern Hunter will use pattern file: ${selectedPatternFile}`);
+  console.log(
+    `Pattern Hunter will use pattern file(s): ${selectedPatternFiles.join(", ")}`
+  );
+
+  patternHunter.selectedPatternFiles = selectedPatternFiles;
 
+  await patternHunter.matchList.load();
+  await patternHunter.loadLastRun();
+  await cleanUploadsDir();
   try {
-    await fs.rm(UPLOADS_DIR, { recursive: true, force: true });
-    console.log("Cleaned uploads directory.");
+    await patternHunter.initialize();
   } catch (e) {
-    if (e.code !== "ENOENT") {
-      console.error("Could not clean uploads directory:", e);
-    }
+    console.error(`[Startup] ${e.message} Exiting.`);
+    process.exit(1);
   }
   await qrCodeService.ensureUploadsDirExists();
 
-  const initialPatternLoaded = await mainThreadPatternMatcher.loadPattern(
-    selectedPatternFile
-  );
-  if (initialPatternLoaded) {
+  const failedPatterns = await patternHunter.loadMainThreadPatterns();
+  if (failedPatterns.length === 0) {
     console.log(
-      `[Startup] Initial pattern '${selectedPatternFile}' loaded for Pattern Hunter self-test/info.`
+      `[Startup] Initial pattern(s) loaded for Pattern Hunter self-test/info.`
     );
   } else {
     console.error(
-      `[Startup] CRITICAL: Selected pattern '${selectedPatternFile}' for Pattern Hunter could not be loaded. Exiting.`
+      `[Startup] CRITICAL: Selected pattern(s) ${PatternHunterService.describeFailedPatterns(
+        failedPatterns
+      )} for Pattern Hunter could not be loaded. Exiting.`
     );
     process.exit(1);
   }
@@ -717,10 +862,13 @@ async function main() {
   server.listen(config.port, () => {
     console.log(`Server running. Access applications:`);
     console.log(`  Pattern Hunter: http://localhost:${config.port}/`);
+    console.log(`  Pattern Editor: http://localhost:${config.port}/editor`);
     console.log(`  Game of Life:   http://localhost:${config.port}/life`);
     if (RUN_MATCHER_TEST_ONCE) {
       console.log(
-        `Pattern Hunter: Self-test (RUN_MATCHER_TEST_ONCE) is ENABLED for the first search using pattern '${selectedPatternFile}'.`
+        `Pattern Hunter: Self-test (RUN_MATCHER_TEST_ONCE) is ENABLED for the first search using pattern(s) '${selectedPatternFiles.join(
+          "', '"
+        )}'.`
       );
     }
   });
@@ -0,0 +1,222 @@
+// services/DomainAvailabilityService.js
+const fs = require("fs");
+const readline = require("readline");
+const { Resolver } = require("dns").promises;
+
+const STATUSES = ["available", "taken", "unknown"];
+// Suffixes under which names are registered at the third level (e.g. example.co.uk).
+// Not the full public suffix list, just the common ones.
+const MULTI_PART_SUFFIXES = new Set([
+  "co.uk", "org.uk", "me.uk", "ac.uk", "com.au", "net.au", "org.au", "co.nz",
+  "co.jp", "co.kr", "com.br", "com.cn", "com.mx", "co.in", "co.za", "com.tr",
+]);
+// DNS answers that mean "no such domain" rather than "couldn't ask".
+const NOT_FOUND_CODES = new Set(["ENOTFOUND", "NXDOMAIN"]);
+const MAX_CACHED_DOMAINS = 10000;
+
+/**
+ * Reduces a URL to the domain someone would register ("http://www.foo.co.uk/x" -> "foo.co.uk").
+ * @param {string} url
+ * @returns {string|null} Null if the text isn't a URL with a dotted hostname.
+ */
+function registrableDomain(url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase().replace(/\.$/, "");
+  } catch (err) {
+    return null;
+  }
+  const labels = hostname.split(".");
+  if (labels.length < 2 || labels.some((label) => !label)) return null;
+  const lastTwo = labels.slice(-2).join(".");
+  return MULTI_PART_SUFFIXES.has(lastTwo) && labels.length >= 3
+    ? labels.slice(-3).join(".")
+    : lastTwo;
+}
+
+// Asks a DNS server for the domain's NS records: registered domains are delegated, so an
+// NXDOMAIN answer means the name is very likely free. Only the configured servers are
+// asked, never the system resolver, so freshly found names don't leak upstream by default.
+class DnsAvailabilityBackend {
+  constructor({ servers = [], timeoutMs = 2000, tries = 1 } = {}) {
+    if (!Array.isArray(servers) || servers.length === 0) {
+      throw new Error(
+        'The dns backend needs dns.servers, e.g. ["127.0.0.1:5353"] for a local resolver.'
+      );
+    }
+    this.resolver = new Resolver({ timeout: timeoutMs, tries });
+    this.resolver.setServers(servers);
+  }
+
+  async check(domain) {
+    try {
+      await this.resolver.resolveNs(domain);
+      return { status: "taken", detail: "has NS records" };
+    } catch (err) {
+      if (NOT_FOUND_CODES.has(err.code)) {
+        return { status: "available", detail: "NXDOMAIN" };
+      }
+      if (err.code === "ENODATA") {
+        // The name exists (e.g. it has other records) but isn't delegated itself.
+        return { status: "taken", detail: "name exists without NS records" };
+      }
+      return { status: "unknown", detail: `DNS lookup failed (${err.code || err.message})` };
+    }
+  }
+}
+
+// Offline lookups against local files: plain lists of taken domains (one per line) or DNS
+// zone files, whose owner names are the registered domains. A domain whose TLD appears in
+// the files but which isn't listed is reported available; other TLDs are unknown.
+class ZoneFileAvailabilityBackend {
+  constructor({ paths = [] } = {}) {
+    this.paths = paths;
+    this.takenDomains = null; // Loaded on first check.
+    this.coveredTlds = new Set();
+    this._loading = null;
+  }
+
+  async check(domain) {
+    await this._ensureLoaded();
+    if (this.takenDomains.has(domain)) {
+      return { status: "taken", detail: "listed in zone file" };
+    }
+    const tld = domain.slice(domain.lastIndexOf(".") + 1);
+    if (this.coveredTlds.has(tld)) {
+      return { status: "available", detail: "not listed in zone file" };
+    }
+    return { status: "unknown", detail: `no zone data for .${tld}` };
+  }
+
+  _ensureLoaded() {
+    if (!this._loading) {
+      this._loading = (async () => {
+        this.takenDomains = new Set();
+        for (const filePath of this.paths) {
+          await this._loadFile(filePath);
+        }
+        console.log(
+          `[Availability] Loaded ${this.takenDomains.size} taken domain(s) covering ${
+            this.coveredTlds.size
+          } TLD(s) from ${this.paths.length} file(s).`
+        );
+      })();
+    }
+    return this._loading;
+  }
+
+  // Streams the file line by line; zone files are far too big to read in one go.
+  async _loadFile(filePath) {
+    let origin = null; // From $ORIGIN; names without a trailing dot are relative to it.
+    const lines = readline.createInterface({
+      input: fs.createReadStream(filePath, "utf8"),
+      crlfDelay: Infinity,
+    });
+    try {
+      for await (const rawLine of lines) {
+        const line = rawLine.replace(/;.*$/, "");
+        if (!line.trim() || line.startsWith("#")) continue;
+        if (/^\s/.test(line)) continue; // Continues the previous owner name.
+        const [owner, argument] = line.trim().split(/\s+/);
+        if (owner === "$ORIGIN") {
+          origin = argument ? argument.replace(/\.$/, "").toLowerCase() : null;
+          continue;
+        }
+        if (owner.startsWith("$") || owner === "@") continue;
+        const name = owner.endsWith(".")
+          ? owner.slice(0, -1).toLowerCase()
+          : origin
+          ? `${owner.toLowerCase()}.${origin}`
+          : owner.toLowerCase();
+        const domain = registrableDomain(`http://${name}/`);
+        if (!domain) continue;
+        this.takenDomains.add(domain);
+        this.coveredTlds.add(domain.slice(domain.lastIndexOf(".") + 1));
+      }
+    } catch (err) {
+      console.error(
+        `[Availability] Could not read zone file '${filePath}':`,
+        err.message
+      );
+    }
+  }
+}
+
+const backendFactories = {
+  dns: (options) => new DnsAvailabilityBackend(options),
+  zoneFile: (options) => new ZoneFileAvailabilityBackend(options),
+};
+
+class DomainAvailabilityService {
+  /**
+   * Tags URLs' domains as available, taken or unknown using a pluggable backend.
+   * @param {object} options
+   * @param {string} options.backend - A registered backend name ("dns", "zoneFile", ...).
+   * @param {object} [options.backendOptions] - Passed to the backend factory.
+   */
+  constructor({ backend, backendOptions = {} }) {
+    const factory = backendFactories[backend];
+    if (!factory) {
+      throw new Error(
+        `Unknown availability backend '${backend}'. Registered: ${Object.keys(
+          backendFactories
+        ).join(", ")}.`
+      );
+    }
+    this.backendName = backend;
+    this.backend = factory(backendOptions);
+    this.cache = new Map(); // domain -> Promise of a result; each domain is checked once.
+  }
+
+  /**
+   * Adds a backend. A backend is any object with `async check(domain)` resolving to
+   * `{status: "available"|"taken"|"unknown", detail?: string}`.
+   * @param {string} name
+   * @param {function(object): {check: function(string): Promise<object>}} factory
+   */
+  static registerBackend(name, factory) {
+    backendFactories[name] = factory;
+  }
+
+  /**
+   * @param {string} url - The matched QR's content.
+   * @returns {Promise<{status: string, domain: string|null, backend: string, detail: string, checkedAt: string}>}
+   */
+  async check(url) {
+    const domain = registrableDomain(url);
+    if (!domain) {
+      return this._result(null, { status: "unknown", detail: "not a URL with a domain" });
+    }
+    if (!this.cache.has(domain)) {
+      if (this.cache.size >= MAX_CACHED_DOMAINS) {
+        this.cache.delete(this.cache.keys().next().value); // Oldest first.
+      }
+      this.cache.set(
+        domain,
+        this.backend
+          .check(domain)
+          .catch((err) => ({ status: "unknown", detail: err.message }))
+      );
+    }
+    const result = await this.cache.get(domain);
+    if (result.status === "unknown") {
+      this.cache.delete(domain); // Lookups that failed are worth retrying later.
+    }
+    return this._result(domain, result);
+  }
+
+  _result(domain, { status, detail = "" }) {
+    return {
+      status: STATUSES.includes(status) ? status : "unknown",
+      domain,
+      backend: this.backendName,
+      detail,
+      checkedAt: new Date().toISOString(),
+    };
+  }
+}
+
+DomainAvailabilityService.STATUSES = STATUSES;
+DomainAvailabilityService.registrableDomain = registrableDomain;
+
+module.exports = DomainAvailabilityService;
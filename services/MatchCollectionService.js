@@ -0,0 +1,201 @@
+// services/MatchCollectionService.js
+const zlib = require("zlib");
+const AdmZip = require("adm-zip");
+
+const COLLECTION_FORMAT = "qr-pattern-hunter-matches"; // Marks our JSON exports and manifests.
+const COLLECTION_VERSION = 1;
+const MANIFEST_FILE = "manifest.json";
+const IMAGES_DIR = "images";
+const MAX_ZIP_ENTRIES = 100000;
+const MAX_ZIP_UNCOMPRESSED_BYTES = 1024 * 1024 * 1024; // Guards against zip bombs.
+const ZIP_METHOD_STORED = 0;
+const ZIP_METHOD_DEFLATED = 8;
+
+// One row per match; nested fields are flattened, occurrences beyond the first are left out.
+const CSV_COLUMNS = [
+  ["id", (m) => m.id],
+  ["foundAt", (m) => m.foundAt],
+  ["payloadType", (m) => m.payloadType || "url"],
+  ["url", (m) => m.url],
+  ["pattern", (m) => m.pattern],
+  ["x", (m) => m.location.x],
+  ["y", (m) => m.location.y],
+  ["width", (m) => (m.size ? m.size.width : "")],
+  ["height", (m) => (m.size ? m.size.height : "")],
+  ["orientation", (m) => m.orientation],
+  ["mismatches", (m) => m.mismatches],
+  ["similarity", (m) => m.similarity],
+  ["zone", (m) => m.zone],
+  ["occurrenceCount", (m) => m.occurrenceCount],
+  ["errorCorrectionLevel", (m) => (m.qrOptions ? m.qrOptions.errorCorrectionLevel : "")],
+  ["maskPattern", (m) => (m.qrOptions ? m.qrOptions.maskPattern : "")],
+  ["version", (m) => (m.qrOptions ? m.qrOptions.version : "")],
+  ["generator", (m) => m.generator],
+  ["seed", (m) => m.seed],
+  ["streamIndex", (m) => m.streamIndex],
+  ["runId", (m) => m.runId],
+  ["domain", (m) => (m.availability ? m.availability.domain : "")],
+  ["availability", (m) => (m.availability ? m.availability.status : "")],
+  ["verification", (m) => (m.verification ? m.verification.status : "")],
+  ["score", (m) => (m.score ? m.score.total : "")],
+];
+
+// Spreadsheet apps run text cells starting with these as formulas ("=HYPERLINK(...)").
+const FORMULA_PREFIX_REGEX = /^[=+\-@\t\r]/;
+
+// RFC 4180: quote fields holding a comma, quote or line break, doubling inner quotes. Text
+// that a spreadsheet would take for a formula (match content is arbitrary) gets a leading
+// apostrophe so it's shown as typed; numbers are left alone.
+function toCsvField(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (typeof value === "string" && FORMULA_PREFIX_REGEX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// The sizes in a zip's headers are whatever its author wrote there, so an entry is inflated
+// with a hard cap on its output, and rejected if what comes out isn't the size it claimed.
+function readZipEntry(entry, maxBytes) {
+  const tooLarge = () => new Error("The zip bundle is too large to import.");
+  if (entry.header.size > maxBytes) throw tooLarge();
+  const compressed = entry.getCompressedData();
+  let data;
+  if (entry.header.method === ZIP_METHOD_STORED) {
+    data = compressed;
+  } else if (entry.header.method === ZIP_METHOD_DEFLATED) {
+    try {
+      data = zlib.inflateRawSync(compressed, { maxOutputLength: maxBytes });
+    } catch (e) {
+      if (e.code === "ERR_BUFFER_TOO_LARGE") throw tooLarge();
+      throw new Error(`Could not read ${entry.entryName} from the zip bundle: ${e.message}`);
+    }
+  } else {
+    throw new Error(`${entry.entryName} uses a compression method this server can't read.`);
+  }
+  if (data.length !== entry.header.size) {
+    throw new Error(`${entry.entryName} is not the size the zip bundle says it is.`);
+  }
+  return data;
+}
+
+function imageEntryName(match) {
+  return `${IMAGES_DIR}/${match.id}.png`;
+}
+
+class MatchCollectionService {
+  /**
+   * Turns a list of matches into files to hand to someone else (CSV for spreadsheets, JSON,
+   * or a zip of display PNGs plus a JSON manifest) and reads JSON and zip collections back.
+   * @param {function(object): Promise<Buffer|null>} renderDisplayPng - Renders a match's
+   *   display QR as PNG data, for zip bundles.
+   */
+  constructor(renderDisplayPng) {
+    this.renderDisplayPng = renderDisplayPng;
+  }
+
+  /**
+   * @param {object[]} matches
+   * @returns {string} A header row and one row per match (CRLF line endings).
+   */
+  toCsv(matches) {
+    const rows = [CSV_COLUMNS.map(([name]) => name).join(",")];
+    matches.forEach((match) => {
+      rows.push(CSV_COLUMNS.map(([, getValue]) => toCsvField(getValue(match))).join(","));
+    });
+    return rows.join("\r\n") + "\r\n";
+  }
+
+  /**
+   * @param {object[]} matches
+   * @param {object} [details] - Extra top-level fields, e.g. the filters used.
+   * @returns {object} The collection document written as JSON and as a zip manifest.
+   */
+  toCollection(matches, details = {}) {
+    return {
+      format: COLLECTION_FORMAT,
+      version: COLLECTION_VERSION,
+      exportedAt: new Date().toISOString(),
+      ...details,
+      count: matches.length,
+      matches,
+    };
+  }
+
+  /**
+   * A zip holding manifest.json (the collection, each match with an `image` entry name) and
+   * images/<match id>.png. Matches whose image can't be rendered are listed without one.
+   * @param {object[]} matches
+   * @param {object} [details] - As for toCollection().
+   * @returns {Promise<Buffer>}
+   */
+  async toZip(matches, details = {}) {
+    const zip = new AdmZip();
+    const manifestMatches = [];
+    for (const match of matches) {
+      const png = await this.renderDisplayPng(match);
+      if (png) zip.addFile(imageEntryName(match), png);
+      manifestMatches.push(png ? { ...match, image: imageEntryName(match) } : match);
+    }
+    zip.addFile(
+      MANIFEST_FILE,
+      Buffer.from(JSON.stringify(this.toCollection(manifestMatches, details), null, 2))
+    );
+    return zip.toBuffer();
+  }
+
+  /**
+   * Reads an uploaded collection: a zip bundle from toZip(), a JSON collection, or a bare
+   * JSON array of matches (e.g. from GET /api/matches). A bundle's images are not read: an
+   * importing server renders display QRs itself rather than trust someone else's.
+   * @param {Buffer} data
+   * @returns {{matches: object[]}}
+   * @throws {Error} If the data isn't a collection this can read.
+   */
+  parse(data) {
+    if (data.length >= 4 && data.readUInt32LE(0) === 0x04034b50) {
+      return this.parseZip(data);
+    }
+    let document;
+    try {
+      document = JSON.parse(data.toString("utf8"));
+    } catch (e) {
+      throw new Error("Expected a zip bundle or a JSON collection of matches.");
+    }
+    return { matches: this.readMatchList(document) };
+  }
+
+  parseZip(data) {
+    let zip;
+    try {
+      zip = new AdmZip(data);
+    } catch (e) {
+      throw new Error(`Could not read the zip bundle: ${e.message}`);
+    }
+    const entries = zip.getEntries();
+    const uncompressedBytes = entries.reduce((total, entry) => total + entry.header.size, 0);
+    if (entries.length > MAX_ZIP_ENTRIES || uncompressedBytes > MAX_ZIP_UNCOMPRESSED_BYTES) {
+      throw new Error("The zip bundle is too large to import.");
+    }
+    const manifestEntry = zip.getEntry(MANIFEST_FILE);
+    if (!manifestEntry) {
+      throw new Error(`The zip bundle has no ${MANIFEST_FILE}.`);
+    }
+    const manifestData = readZipEntry(manifestEntry, MAX_ZIP_UNCOMPRESSED_BYTES);
+    let manifest;
+    try {
+      manifest = JSON.parse(manifestData.toString("utf8"));
+    } catch (e) {
+      throw new Error(`${MANIFEST_FILE} is not valid JSON.`);
+    }
+    return { matches: this.readMatchList(manifest) };
+  }
+
+  readMatchList(document) {
+    if (Array.isArray(document)) return document;
+    if (document && Array.isArray(document.matches)) return document.matches;
+    throw new Error("Expected a list of matches or an object with a `matches` list.");
+  }
+}
+
+MatchCollectionService.FORMATS = ["csv", "json", "zip"];
+
+module.exports = MatchCollectionService;
@@ -0,0 +1,182 @@
+// services/MatchListService.js
+const path = require("path");
+const fs = require("fs").promises;
+
+const IMPORT_CHECK_BATCH_SIZE = 16; // Imported matches verified / looked up at a time.
+
+// Two records of the same hit (e.g. from two machines searching the same seed) share this.
+function getMatchKey(match) {
+  return [
+    match.url,
+    match.pattern,
+    match.location.x,
+    match.location.y,
+    match.orientation || "rot0",
+    match.qrOptions ? match.qrOptions.maskPattern : "",
+    match.qrOptions ? match.qrOptions.errorCorrectionLevel : "",
+  ].join("\n");
+}
+
+function isImportableMatch(record) {
+  return (
+    !!record &&
+    typeof record === "object" &&
+    typeof record.url === "string" &&
+    record.url !== "" &&
+    typeof record.pattern === "string" &&
+    record.pattern !== "" &&
+    !!record.location &&
+    Number.isInteger(record.location.x) &&
+    Number.isInteger(record.location.y) &&
+    !record.isTestMatch
+  );
+}
+
+class MatchListService {
+  /**
+   * The matches found so far (newest first) and their counts per pattern, kept in step with
+   * the match store. Self-test matches are listed but never stored.
+   * @param {object} options
+   * @param {MatchStoreService} options.matchStore
+   * @param {string} options.uploadsDir - Where the matches' display images are.
+   * @param {MatchPipelineService} options.matchPipeline - Builds and checks imported matches.
+   */
+  constructor({ matchStore, uploadsDir, matchPipeline }) {
+    this.matchStore = matchStore;
+    this.uploadsDir = uploadsDir;
+    this.matchPipeline = matchPipeline;
+    this.matches = []; // Newest first.
+    this.countsByPattern = {}; // pattern filename -> number of matches found
+  }
+
+  // Restores matches saved by previous runs (newest first, like live matches).
+  async load() {
+    const storedMatches = await this.matchStore.load();
+    this.matches = storedMatches.reverse();
+    this.recount();
+    console.log(
+      `Loaded ${this.matches.length} stored match(es) from ${this.matchStore.storeFilePath}.`
+    );
+  }
+
+  add(match) {
+    this.matches.unshift(match);
+    if (!match.isTestMatch) {
+      this.matchStore.append(match); // Self-test hits are only kept for this session.
+    }
+    this.countsByPattern[match.pattern] = (this.countsByPattern[match.pattern] || 0) + 1;
+  }
+
+  // Scores every match again, so stored and imported scores follow the current weights.
+  rescore() {
+    this.matches.forEach((match) => {
+      if (!match.isTestMatch) match.score = this.matchPipeline.score(match);
+    });
+  }
+
+  /**
+   * Deletes matches from memory and the match store, along with their display images.
+   * @param {string[]} ids - Match ids; unknown ids are ignored.
+   * @returns {Promise<object[]>} The matches that were deleted.
+   */
+  async delete(ids) {
+    const idsToDelete = new Set(ids);
+    const deletedMatches = this.matches.filter((match) => idsToDelete.has(match.id));
+    if (deletedMatches.length === 0) return [];
+
+    this.matches = this.matches.filter((match) => !idsToDelete.has(match.id));
+    this.recount();
+    await this.rewriteStore();
+    for (const match of deletedMatches) {
+      const imagePath = path.join(this.uploadsDir, path.basename(match.qrImageUrl || ""));
+      if (imagePath === this.uploadsDir) continue;
+      await fs.rm(imagePath, { force: true }).catch((e) =>
+        console.error(`Could not remove display image of match '${match.id}':`, e.message)
+      );
+    }
+    console.log(`Pattern Hunter: Deleted ${deletedMatches.length} match(es).`);
+    return deletedMatches;
+  }
+
+  /**
+   * Adds matches exported from another server (see MatchCollectionService). Records of a
+   * match already here, by id or by URL, pattern and position, are skipped. Each match is
+   * rebuilt and checked by the match pipeline (see MatchPipelineService.buildImportedMatch).
+   * @param {object[]} records - Match records from an export.
+   * @param {function(string): Promise<PatternMatcherService|null>} loadMatcher - The matcher
+   *   of a pattern, or null if this server has no such template.
+   * @returns {Promise<{imported: object[], duplicates: number, invalid: number}>}
+   *   invalid counts records without a url, pattern or location, and self-test matches.
+   */
+  async import(records, loadMatcher) {
+    const knownIds = new Set(this.matches.map((match) => match.id));
+    const knownKeys = new Set(this.matches.map(getMatchKey));
+    const matchers = new Map(); // pattern filename -> matcher, or null if not loadable here
+    const imported = [];
+    let duplicates = 0;
+    let invalid = 0;
+    const importedAt = new Date();
+
+    for (const record of records) {
+      if (!isImportableMatch(record)) {
+        invalid++;
+        continue;
+      }
+      if (!matchers.has(record.pattern)) {
+        matchers.set(record.pattern, await loadMatcher(record.pattern));
+      }
+      const match = this.matchPipeline.buildImportedMatch(
+        record,
+        matchers.get(record.pattern),
+        importedAt
+      );
+      const key = getMatchKey(match);
+      if (knownIds.has(record.id) || knownKeys.has(key)) {
+        duplicates++;
+        continue;
+      }
+      knownIds.add(match.id);
+      knownKeys.add(key);
+      imported.push(match);
+    }
+
+    for (let start = 0; start < imported.length; start += IMPORT_CHECK_BATCH_SIZE) {
+      await Promise.all(
+        imported
+          .slice(start, start + IMPORT_CHECK_BATCH_SIZE)
+          .map((match) => this.matchPipeline.recheck(match, matchers.get(match.pattern)))
+      );
+    }
+
+    if (imported.length > 0) {
+      // Newest first by discovery time, wherever each match was found.
+      this.matches = [...imported, ...this.matches].sort((a, b) =>
+        (b.foundAt || "").localeCompare(a.foundAt || "")
+      );
+      this.recount();
+      await this.rewriteStore();
+    }
+    console.log(
+      `Pattern Hunter: Imported ${imported.length} match(es) ` +
+        `(${duplicates} duplicate(s), ${invalid} invalid).`
+    );
+    return { imported, duplicates, invalid };
+  }
+
+  recount() {
+    this.countsByPattern = {};
+    this.matches.forEach((match) => {
+      this.countsByPattern[match.pattern] = (this.countsByPattern[match.pattern] || 0) + 1;
+    });
+  }
+
+  // The store holds matches oldest first and without self-test hits.
+  async rewriteStore() {
+    await this.matchStore.rewrite(this.matches.filter((match) => !match.isTestMatch).reverse());
+  }
+}
+
+MatchListService.getMatchKey = getMatchKey;
+MatchListService.isImportableMatch = isImportableMatch;
+
+module.exports = MatchListService;
@@ -0,0 +1,443 @@
+// services/MatchPipelineService.js
+const path = require("path");
+
+const QRCodeService = require("./QRCodeService");
+const PatternMatcherService = require("./PatternMatcherService");
+const PayloadTemplate = require("./PayloadTemplate");
+const DomainAvailabilityService = require("./DomainAvailabilityService");
+const MatchVerificationService = require("./MatchVerificationService");
+const MatchScoringService = require("./MatchScoringService");
+
+const HIGHLIGHT_CROP_CONTEXT_MODULES = 2; // Modules shown around a hit in the zoomed crop.
+const IMPORTED_MATCH_ID_REGEX = /^[A-Za-z0-9_-]{1,100}$/; // Ids end up in element ids and URLs.
+const MAX_IMPORTED_OCCURRENCES = 1000;
+const PAYLOAD_TYPES = ["url", ...PayloadTemplate.TYPES];
+const EC_LEVELS = ["L", "M", "Q", "H"];
+
+const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0;
+const textOrNull = (value) => (typeof value === "string" ? value : null);
+
+function createMatchId() {
+  return `match_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
+}
+
+// The qrOptions of an imported record, keeping only well-formed EC level, mask and version.
+function readImportedQrOptions(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  return {
+    errorCorrectionLevel: EC_LEVELS.includes(raw.errorCorrectionLevel)
+      ? raw.errorCorrectionLevel
+      : null,
+    maskPattern: Number.isInteger(raw.maskPattern) && raw.maskPattern >= 0 && raw.maskPattern <= 7
+      ? raw.maskPattern
+      : null,
+    version: Number.isInteger(raw.version) && raw.version >= 1 && raw.version <= 40
+      ? raw.version
+      : null,
+  };
+}
+
+// Maps a region of the search QR (pixels at qrSearchOptions scale and margin) to the QR
+// modules it touches, in module coordinates (0,0 = top-left module).
+function mapSearchRegionToModules(region, searchGeometry) {
+  const toModule = (searchPixel) =>
+    Math.floor(searchPixel / searchGeometry.scale) - searchGeometry.margin;
+  const x = toModule(region.x);
+  const y = toModule(region.y);
+  return {
+    x,
+    y,
+    width: toModule(region.x + region.width - 1) + 1 - x,
+    height: toModule(region.y + region.height - 1) + 1 - y,
+  };
+}
+
+// Maps a region in module coordinates onto the display image, clipped to the image.
+function mapModuleRegionToDisplay(region, displayGeometry) {
+  const toDisplayPixel = (module) =>
+    Math.min(
+      Math.max((module + displayGeometry.margin) * displayGeometry.scale, 0),
+      displayGeometry.imageWidth
+    );
+  const left = toDisplayPixel(region.x);
+  const top = toDisplayPixel(region.y);
+  const right = toDisplayPixel(region.x + region.width);
+  const bottom = toDisplayPixel(region.y + region.height);
+  return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+class MatchPipelineService {
+  /**
+   * Turns a worker's hit into a match record: renders the display QR, works out where the
+   * hit sits on it, verifies it, looks up its domain and scores it. Imported records go
+   * through the same checks (see buildImportedMatch and recheck).
+   * @param {object} options
+   * @param {object} options.config - The application config (config.js).
+   * @param {string} options.rootDir - Project directory; relative config paths resolve against it.
+   * @param {QRCodeService} options.qrCodeService
+   * @param {boolean} [options.renderDisplayImages=true] - Write each match's display PNG right
+   *   away. Without it only the file name is recorded and the server renders it on request.
+   */
+  constructor({ config, rootDir, qrCodeService, renderDisplayImages = true }) {
+    this.config = config;
+    this.rootDir = rootDir;
+    this.qrCodeService = qrCodeService;
+    this.renderDisplayImages = renderDisplayImages;
+    this.domainAvailabilityService = null; // Created by initialize() when enabled.
+    this.matchScorer = null; // Created by initialize(), once word lists are loaded.
+    this.matchVerifier = config.verifyMatches ? new MatchVerificationService(qrCodeService) : null;
+  }
+
+  /**
+   * Sets up domain availability checks and scoring.
+   * @param {Object<string, string[]>} wordLists - Template word lists; one is the scorer's dictionary.
+   * @throws {Error} If the domainAvailability settings are invalid.
+   */
+  initialize(wordLists) {
+    this.initializeDomainAvailability();
+    const { weights, wordList, minWordLength } = this.config.matchScoring || {};
+    this.matchScorer = new MatchScoringService({
+      weights,
+      words: wordLists[wordList] || [],
+      minWordLength,
+      occurrenceMode: this.config.patternMatchOptions.occurrenceMode,
+    });
+  }
+
+  initializeDomainAvailability() {
+    const { enabled, backend } = this.config.domainAvailability;
+    if (!enabled) return;
+    const backendOptions = { ...(this.config.domainAvailability[backend] || {}) };
+    if (Array.isArray(backendOptions.paths)) {
+      backendOptions.paths = backendOptions.paths.map((p) => path.resolve(this.rootDir, p));
+    }
+    try {
+      this.domainAvailabilityService = new DomainAvailabilityService({
+        backend,
+        backendOptions,
+      });
+    } catch (e) {
+      throw new Error(`Invalid domainAvailability settings: ${e.message}`);
+    }
+    console.log(`Domain availability checks enabled (backend: ${backend}).`);
+  }
+
+  // { total: 0-100, factors: [{ name, label, detail, value, weight, points }] }, or null
+  // before initialize() and for self-test matches.
+  score(match) {
+    return this.matchScorer && !match.isTestMatch ? this.matchScorer.score(match) : null;
+  }
+
+  // Display options that reproduce the searched symbol: the EC level, mask and version the
+  // match was found with override the display defaults.
+  getDisplayOptionsForMatch(qrOptions) {
+    return this.applyMatchQrOptions(this.config.qrDisplayOptions, qrOptions);
+  }
+
+  applyMatchQrOptions(baseOptions, qrOptions) {
+    const options = { ...baseOptions };
+    if (qrOptions) {
+      ["errorCorrectionLevel", "maskPattern", "version"].forEach((key) => {
+        if (qrOptions[key] !== null && qrOptions[key] !== undefined) {
+          options[key] = qrOptions[key];
+        }
+      });
+    }
+    return options;
+  }
+
+  // Module layout, scale and margin of a match's search render (see QRCodeService.getQrGeometry).
+  getSearchQrGeometry(url, qrOptions) {
+    const searchOptions = this.applyMatchQrOptions(this.config.qrSearchOptions, qrOptions);
+    const symbol = this.qrCodeService.getSymbolGeometry(url, searchOptions);
+    return symbol ? this.qrCodeService.getQrGeometry(symbol.imageWidth, searchOptions) : null;
+  }
+
+  /**
+   * The modules each hit of a match covers (module coordinates, 0,0 = top-left module).
+   * @param {string} url - The match's content.
+   * @param {object|null} qrOptions - The match's qrOptions (EC level, mask, version).
+   * @param {Array<{x: number, y: number, width: number, height: number}>} occurrences -
+   *   Hits in search pixels; ones without a recorded size (older matches) are skipped.
+   * @returns {Array<{x: number, y: number, width: number, height: number}>}
+   */
+  getMatchModuleRegions(url, qrOptions, occurrences) {
+    const searchGeometry = this.qrCodeService.getSymbolGeometry(
+      url,
+      this.applyMatchQrOptions(this.config.qrSearchOptions, qrOptions)
+    );
+    if (!searchGeometry) return [];
+    return occurrences
+      .filter((occurrence) => occurrence.width && occurrence.height)
+      .map((occurrence) => mapSearchRegionToModules(occurrence, searchGeometry));
+  }
+
+  // Where a match sits on its display image, in display pixels: one region per occurrence
+  // (the reported location first) and a crop around the first with a couple of modules of
+  // context, for the card's outline and zoomed view. Null for matches without a recorded
+  // size, or if the display symbol differs from the searched one.
+  getMatchHighlight(url, matchLocation) {
+    if (!matchLocation.width || !matchLocation.height) return null;
+    const qrOptions = matchLocation.qrOptions;
+    const searchGeometry = this.qrCodeService.getSymbolGeometry(
+      url,
+      this.applyMatchQrOptions(this.config.qrSearchOptions, qrOptions)
+    );
+    const displayGeometry = this.qrCodeService.getSymbolGeometry(
+      url,
+      this.getDisplayOptionsForMatch(qrOptions)
+    );
+    if (!searchGeometry || !displayGeometry || searchGeometry.size !== displayGeometry.size) {
+      return null;
+    }
+
+    const regions = this.getMatchModuleRegions(
+      url,
+      qrOptions,
+      matchLocation.occurrences || [matchLocation]
+    ).map((region) => mapModuleRegionToDisplay(region, displayGeometry));
+    const context = HIGHLIGHT_CROP_CONTEXT_MODULES * displayGeometry.scale;
+    const [primary] = regions;
+    const cropX = Math.max(primary.x - context, 0);
+    const cropY = Math.max(primary.y - context, 0);
+    return {
+      imageSize: displayGeometry.imageWidth,
+      moduleSize: displayGeometry.scale,
+      regions,
+      crop: {
+        x: cropX,
+        y: cropY,
+        width: Math.min(primary.x + primary.width + context, displayGeometry.imageWidth) - cropX,
+        height: Math.min(primary.y + primary.height + context, displayGeometry.imageWidth) - cropY,
+      },
+    };
+  }
+
+  /**
+   * Looks up a match's domain and verifies it against its display QR, as configured.
+   * @param {object} params
+   * @param {string} params.url
+   * @param {string} params.payloadType - Only "url" payloads get an availability lookup.
+   * @param {{x: number, y: number}} params.location - In search pixels.
+   * @param {string} params.orientation
+   * @param {number} params.mismatches
+   * @param {object|null} params.qrOptions
+   * @param {PatternMatcherService|null} params.matcher - The pattern's matcher, if loaded.
+   * @returns {Promise<{availability: object|null, verification: object|null}>} Each null
+   *   when that check is off or doesn't apply.
+   */
+  async checkMatch({ url, payloadType, location, orientation, mismatches, qrOptions, matcher }) {
+    const [availability, verification] = await Promise.all([
+      this.domainAvailabilityService && payloadType === "url"
+        ? this.domainAvailabilityService.check(url)
+        : null,
+      this.matchVerifier
+        ? this.matchVerifier.verify({
+            url,
+            searchOptions: this.applyMatchQrOptions(this.config.qrSearchOptions, qrOptions),
+            displayOptions: this.getDisplayOptionsForMatch(qrOptions),
+            location,
+            orientation,
+            mismatches,
+            matcher,
+          })
+        : null,
+    ]);
+    return { availability, verification };
+  }
+
+  /**
+   * Builds the match record for a worker's (or the self-test's) hit.
+   * @param {object} params
+   * @param {string} params.url - The QR's full content.
+   * @param {object} params.matchLocation - The hit, as reported by PatternMatcherService
+   *   (plus qrOptions from the worker).
+   * @param {string} params.payloadType - Of the generator the URL came from.
+   * @param {object|null} params.task - The queued task the URL came from; it carries the
+   *   generator, seed and stream position.
+   * @param {string|null} params.runId
+   * @param {PatternMatcherService|null} params.matcher - The pattern's main-thread matcher.
+   * @param {boolean} [params.isTest=false] - A self-test hit: not checked, scored or placed.
+   * @returns {Promise<object|null>} The match, or null if its display QR couldn't be rendered.
+   */
+  async processHit({ url, matchLocation, payloadType, task, runId, matcher, isTest = false }) {
+    // Run alongside rendering the display QR; a slow lookup only delays this match.
+    const checks = isTest
+      ? Promise.resolve({ availability: null, verification: null })
+      : this.checkMatch({
+          url,
+          payloadType,
+          location: matchLocation,
+          orientation: matchLocation.orientation || "rot0",
+          mismatches: matchLocation.mismatches || 0,
+          qrOptions: matchLocation.qrOptions,
+          matcher,
+        });
+    const fileNamePrefix = isTest ? "testmatch" : "match";
+    const [displayQr, { availability, verification }] = await Promise.all([
+      this.renderDisplayImages
+        ? this.qrCodeService.generateQRCodeToFile(
+            url,
+            this.getDisplayOptionsForMatch(matchLocation.qrOptions),
+            fileNamePrefix
+          )
+        : { urlPath: `/uploads/${QRCodeService.createFileName(fileNamePrefix)}` },
+      checks,
+    ]);
+    if (!displayQr) return null;
+
+    const matchData = {
+      id: createMatchId(),
+      url: url, // The QR's full content; only a URL when payloadType is "url".
+      payloadType,
+      qrImageUrl: displayQr.urlPath,
+      pattern: matchLocation.pattern,
+      location: { x: matchLocation.x, y: matchLocation.y },
+      size:
+        matchLocation.width && matchLocation.height
+          ? { width: matchLocation.width, height: matchLocation.height }
+          : null, // Of the matched orientation, in search pixels.
+      // { imageSize, moduleSize, regions, crop } or null; the self-test's mock QR isn't a real QR.
+      highlight: isTest ? null : this.getMatchHighlight(url, matchLocation),
+      orientation: matchLocation.orientation || "rot0",
+      mismatches: matchLocation.mismatches || 0,
+      similarity:
+        typeof matchLocation.similarity === "number"
+          ? matchLocation.similarity
+          : 1,
+      zone: matchLocation.zone || null,
+      qrOptions: matchLocation.qrOptions || null,
+      occurrences: matchLocation.occurrences || [
+        {
+          x: matchLocation.x,
+          y: matchLocation.y,
+          width: matchLocation.width,
+          height: matchLocation.height,
+          orientation: matchLocation.orientation || "rot0",
+          mismatches: matchLocation.mismatches || 0,
+          zone: matchLocation.zone || null,
+        },
+      ],
+      occurrenceCount: matchLocation.occurrenceCount || 1,
+      timestamp: new Date().toLocaleString(),
+      foundAt: new Date().toISOString(),
+      generator: task && task.generator ? task.generator : null,
+      runId: isTest ? null : runId,
+      seed: task && task.seed !== undefined ? task.seed : null,
+      streamIndex: task && task.streamIndex !== undefined ? task.streamIndex : null,
+      availability, // { status, domain, backend, detail, checkedAt } or null
+      verification, // { status: "verified"|"failed", problems, ... } or null
+      isTestMatch: isTest,
+    };
+    matchData.score = this.score(matchData);
+    return matchData;
+  }
+
+  /**
+   * Builds a match from an import record (see MatchListService.isImportableMatch). Only
+   * the facts of the hit are taken over (content, pattern, position, orientation, QR
+   * options, provenance); its size, zone and highlight are worked out again from `matcher`,
+   * and availability, verification and score are left for recheck(). Its display QR is
+   * rendered here when first requested.
+   * @param {object} record
+   * @param {PatternMatcherService|null} matcher - The pattern's matcher; without one the
+   *   hit's size, zone and highlight stay unknown.
+   * @param {Date} importedAt
+   * @returns {object}
+   */
+  buildImportedMatch(record, matcher, importedAt) {
+    const { ORIENTATION_REGEX } = PatternMatcherService;
+    const url = record.url;
+    const qrOptions = readImportedQrOptions(record.qrOptions);
+    const geometry = matcher ? this.getSearchQrGeometry(url, qrOptions) : null;
+    const readHit = (raw) => {
+      const orientation = ORIENTATION_REGEX.test(raw.orientation) ? raw.orientation : "rot0";
+      const mismatches = isNonNegativeInteger(raw.mismatches) ? raw.mismatches : 0;
+      const matrix = matcher ? matcher.getOrientationMatrix(orientation) : null;
+      return {
+        x: raw.x,
+        y: raw.y,
+        width: matrix ? matrix[0].length : undefined,
+        height: matrix ? matrix.length : undefined,
+        orientation,
+        mismatches,
+        zone: matrix && geometry ? matcher.getZoneOfHit(raw.x, raw.y, orientation, geometry) : null,
+      };
+    };
+
+    const primary = readHit({ ...record, ...record.location });
+    const others = (Array.isArray(record.occurrences) ? record.occurrences : [])
+      .filter(
+        (raw) =>
+          raw &&
+          isNonNegativeInteger(raw.x) &&
+          isNonNegativeInteger(raw.y) &&
+          !(raw.x === primary.x && raw.y === primary.y)
+      )
+      .slice(0, MAX_IMPORTED_OCCURRENCES - 1)
+      .map(readHit);
+    const occurrences = [primary, ...others];
+
+    const foundAtMs = Date.parse(record.foundAt);
+    const foundAt = new Date(Number.isNaN(foundAtMs) ? importedAt : foundAtMs).toISOString();
+    const fileName = QRCodeService.createFileName("match");
+    let similarity = 1;
+    if (matcher) {
+      similarity = Math.max(0, 1 - primary.mismatches / matcher.patternCaredPixelCount);
+    } else if (typeof record.similarity === "number") {
+      similarity = Math.min(Math.max(record.similarity, 0), 1);
+    }
+    return {
+      id:
+        typeof record.id === "string" && IMPORTED_MATCH_ID_REGEX.test(record.id)
+          ? record.id
+          : createMatchId(),
+      url,
+      payloadType: PAYLOAD_TYPES.includes(record.payloadType) ? record.payloadType : "url",
+      qrImageUrl: `/uploads/${fileName}`, // Rendered on first request.
+      pattern: record.pattern,
+      location: { x: primary.x, y: primary.y },
+      size: primary.width ? { width: primary.width, height: primary.height } : null,
+      highlight: primary.width
+        ? this.getMatchHighlight(url, { ...primary, qrOptions, occurrences })
+        : null,
+      orientation: primary.orientation,
+      mismatches: primary.mismatches,
+      similarity,
+      zone: primary.zone,
+      qrOptions,
+      occurrences,
+      occurrenceCount: occurrences.length,
+      timestamp: new Date(foundAt).toLocaleString(),
+      foundAt,
+      generator: textOrNull(record.generator),
+      runId: textOrNull(record.runId),
+      seed: textOrNull(record.seed),
+      streamIndex: isNonNegativeInteger(record.streamIndex) ? record.streamIndex : null,
+      availability: null, // Set by recheck().
+      verification: null,
+      importedAt: importedAt.toISOString(),
+      isTestMatch: false,
+    };
+  }
+
+  // Verifies, looks up and scores a match on this server, e.g. one built by buildImportedMatch.
+  async recheck(match, matcher) {
+    Object.assign(
+      match,
+      await this.checkMatch({
+        url: match.url,
+        payloadType: match.payloadType,
+        location: match.location,
+        orientation: match.orientation,
+        mismatches: match.mismatches,
+        qrOptions: match.qrOptions,
+        matcher,
+      })
+    );
+    match.score = this.score(match);
+    return match;
+  }
+}
+
+module.exports = MatchPipelineService;
@@ -0,0 +1,195 @@
+// services/MatchScoringService.js
+
+const DEFAULT_MIN_WORD_LENGTH = 3;
+const SHORTEST_SCORED_NAME = 3; // Domain names this short or shorter get full marks...
+const LONGEST_SCORED_NAME = 20; // ...and this long or longer get none.
+const MAX_OCCURRENCE_BONUS = 3; // Extra hits beyond the first that still add to the score.
+
+// How a hit's QR zone is rated: fixed structures (finder, timing, ...) look the same in every
+// QR of a version, so a pattern there isn't much of a find.
+const ZONE_VALUES = {
+  data: 1,
+  mixed: 0.5,
+  quietZone: 0,
+  finder: 0,
+  timing: 0,
+  alignment: 0,
+  format: 0,
+  version: 0,
+};
+
+// The pattern as drawn reads best; turned or mirrored hits count for less.
+function getOrientationValue(orientation) {
+  if (!orientation || orientation === "rot0") return 1;
+  if (orientation.startsWith("mirror-")) return 0.5;
+  return 0.75;
+}
+
+// The part of a URL's host a person would read: "http://www.bluefox.com/x" -> "bluefox".
+// Null for non-URL payloads and hosts without a TLD.
+function getDomainName(match) {
+  if ((match.payloadType || "url") !== "url") return null;
+  let hostname;
+  try {
+    hostname = new URL(match.url).hostname.toLowerCase();
+  } catch (e) {
+    return null;
+  }
+  const labels = hostname.replace(/^www\./, "").split(".");
+  if (labels.length < 2 || labels.some((label) => label === "")) return null;
+  return labels.slice(0, -1).join(".");
+}
+
+class MatchScoringService {
+  /**
+   * Rates matches from 0 to 100 so the best finds can be sorted to the top. Each factor is
+   * a value from 0 to 1 times its weight; factors that don't apply to a match (e.g. domain
+   * length for a Wi-Fi payload) are left out, and the total is scaled to the weights that
+   * remain.
+   * @param {object} options
+   * @param {Object<string, number>} options.weights - Per factor (config.matchScoring.weights):
+   *   domainLength, dictionary, dataArea, occurrences, orientation and distance. A factor
+   *   that is 0 or left out is off.
+   * @param {string[]} [options.words] - Dictionary for the dictionary factor.
+   * @param {number} [options.minWordLength=3] - Shorter words don't count as dictionary words.
+   * @param {string} [options.occurrenceMode="first"] - The search's occurrenceMode. In "first"
+   *   mode every match has a single hit, so the occurrences factor doesn't apply.
+   */
+  constructor(options) {
+    this.weights = { ...options.weights };
+    this.countsOccurrences = (options.occurrenceMode || "first") !== "first";
+    this.minWordLength = options.minWordLength || DEFAULT_MIN_WORD_LENGTH;
+    this.words = new Set();
+    this.longestWordLength = 0;
+    (options.words || []).forEach((word) => {
+      const normalized = String(word).trim().toLowerCase();
+      if (normalized.length < this.minWordLength) return;
+      this.words.add(normalized);
+      this.longestWordLength = Math.max(this.longestWordLength, normalized.length);
+    });
+  }
+
+  /**
+   * @param {object} match - A match record (see MatchPipelineService.processHit).
+   * @returns {{total: number, factors: Array<{name: string, label: string, detail: string,
+   *   value: number|null, weight: number, points: number|null}>}} total is 0-100; value is
+   *   null (and points null) for factors that don't apply.
+   */
+  score(match) {
+    const domainName = getDomainName(match);
+    const factors = [
+      this.rateDomainLength(domainName),
+      this.rateDictionary(domainName),
+      this.rateDataArea(match.zone),
+      this.rateOccurrences(match.occurrenceCount || 1),
+      {
+        name: "orientation",
+        label: "Orientation",
+        detail:
+          match.orientation && match.orientation !== "rot0" ? match.orientation : "as drawn",
+        value: getOrientationValue(match.orientation),
+      },
+      {
+        name: "distance",
+        label: "Fuzzy distance",
+        detail: match.mismatches > 0 ? `${match.mismatches} px off` : "exact",
+        value: typeof match.similarity === "number" ? match.similarity : 1,
+      },
+    ].map((factor) => {
+      const weight = this.weights[factor.name] || 0;
+      return {
+        ...factor,
+        weight,
+        points: factor.value === null ? null : Math.round(factor.value * weight * 10) / 10,
+      };
+    });
+
+    const scored = factors.filter((factor) => factor.value !== null && factor.weight > 0);
+    const totalWeight = scored.reduce((sum, factor) => sum + factor.weight, 0);
+    const total =
+      totalWeight > 0
+        ? Math.round(
+            (scored.reduce((sum, factor) => sum + factor.value * factor.weight, 0) /
+              totalWeight) *
+              100
+          )
+        : 0;
+    return { total, factors };
+  }
+
+  rateDomainLength(domainName) {
+    if (domainName === null) {
+      return { name: "domainLength", label: "Domain length", detail: "not a URL", value: null };
+    }
+    const span = LONGEST_SCORED_NAME - SHORTEST_SCORED_NAME;
+    const value = Math.min(
+      Math.max((LONGEST_SCORED_NAME - domainName.length) / span, 0),
+      1
+    );
+    return {
+      name: "domainLength",
+      label: "Domain length",
+      detail: `${domainName.length} characters`,
+      value,
+    };
+  }
+
+  // Share of the name's characters covered by dictionary words, split the best possible way
+  // ("bluefox1" -> "blue" + "fox" covers 7 of 8).
+  rateDictionary(domainName) {
+    if (domainName === null || this.words.size === 0) {
+      return {
+        name: "dictionary",
+        label: "Dictionary words",
+        detail: domainName === null ? "not a URL" : "no word list",
+        value: null,
+      };
+    }
+    const covered = new Array(domainName.length + 1).fill(0);
+    for (let end = 1; end <= domainName.length; end++) {
+      covered[end] = covered[end - 1];
+      const longest = Math.min(this.longestWordLength, end);
+      for (let length = this.minWordLength; length <= longest; length++) {
+        if (this.words.has(domainName.slice(end - length, end))) {
+          covered[end] = Math.max(covered[end], covered[end - length] + length);
+        }
+      }
+    }
+    const value = domainName.length > 0 ? covered[domainName.length] / domainName.length : 0;
+    return {
+      name: "dictionary",
+      label: "Dictionary words",
+      detail: `${Math.round(value * 100)}% of "${domainName}"`,
+      value,
+    };
+  }
+
+  rateDataArea(zone) {
+    const known = zone && ZONE_VALUES[zone] !== undefined;
+    return {
+      name: "dataArea",
+      label: "QR zone",
+      detail: zone || "unknown",
+      value: known ? ZONE_VALUES[zone] : null,
+    };
+  }
+
+  rateOccurrences(occurrenceCount) {
+    if (!this.countsOccurrences) {
+      return {
+        name: "occurrences",
+        label: "Occurrences",
+        detail: "not counted (first hit only)",
+        value: null,
+      };
+    }
+    return {
+      name: "occurrences",
+      label: "Occurrences",
+      detail: `${occurrenceCount} hit(s)`,
+      value: Math.min(occurrenceCount - 1, MAX_OCCURRENCE_BONUS) / MAX_OCCURRENCE_BONUS,
+    };
+  }
+}
+
+module.exports = MatchScoringService;
@@ -0,0 +1,108 @@
+// services/MatchStoreService.js
+const path = require("path");
+const fs = require("fs").promises;
+
+class MatchStoreService {
+  /**
+   * Keeps found matches in a JSON-lines file (one match object per line), so they
+   * survive server restarts. New matches are appended; deleting or importing matches
+   * replaces the whole file with rewrite() (see MatchListService.rewriteStore).
+   * @param {string} storeFilePath - Path of the .jsonl file.
+   */
+  constructor(storeFilePath) {
+    this.storeFilePath = storeFilePath;
+    this._pendingWrite = Promise.resolve(); // Writes run one after another, in call order.
+  }
+
+  /**
+   * Reads every stored match. Lines that can't be parsed are skipped with a warning.
+   * @returns {Promise<object[]>} Matches in the order they were found (oldest first).
+   */
+  async load() {
+    let content;
+    try {
+      content = await fs.readFile(this.storeFilePath, "utf8");
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      console.error(
+        `[MatchStore] Could not read match store '${this.storeFilePath}':`,
+        err.message
+      );
+      return [];
+    }
+
+    const matches = [];
+    content.split("\n").forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        matches.push(JSON.parse(line));
+      } catch (err) {
+        console.warn(
+          `[MatchStore] Skipping unreadable line ${index + 1} in '${this.storeFilePath}': ${err.message}`
+        );
+      }
+    });
+    return matches;
+  }
+
+  /**
+   * Appends one match to the store.
+   * @param {object} match - Match data as sent to the UI.
+   * @returns {Promise<boolean>} True if the match was written.
+   */
+  append(match) {
+    const write = this._pendingWrite.then(async () => {
+      try {
+        await fs.mkdir(path.dirname(this.storeFilePath), { recursive: true });
+        await fs.appendFile(this.storeFilePath, JSON.stringify(match) + "\n");
+        return true;
+      } catch (err) {
+        console.error(
+          `[MatchStore] Failed to save match for URL '${match.url}':`,
+          err.message
+        );
+        return false;
+      }
+    });
+    this._pendingWrite = write;
+    return write;
+  }
+
+  /**
+   * Replaces the whole store, after matches were deleted or imported. The new content is
+   * written to a temporary file first, so a crash never leaves a half-written store behind.
+   * @param {object[]} matches - Every match to keep, oldest first.
+   * @returns {Promise<boolean>} True if the store was rewritten.
+   */
+  rewrite(matches) {
+    const write = this._pendingWrite.then(async () => {
+      const tempFilePath = `${this.storeFilePath}.tmp`;
+      try {
+        await fs.mkdir(path.dirname(this.storeFilePath), { recursive: true });
+        await fs.writeFile(
+          tempFilePath,
+          matches.map((match) => JSON.stringify(match) + "\n").join("")
+        );
+        await fs.rename(tempFilePath, this.storeFilePath);
+        return true;
+      } catch (err) {
+        console.error(
+          `[MatchStore] Failed to rewrite match store '${this.storeFilePath}':`,
+          err.message
+        );
+        return false;
+      }
+    });
+    this._pendingWrite = write;
+    return write;
+  }
+
+  /**
+   * @returns {Promise<void>} Resolves once every append and rewrite so far has finished.
+   */
+  async flush() {
+    await this._pendingWrite;
+  }
+}
+
+module.exports = MatchStoreService;
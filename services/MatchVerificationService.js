@@ -0,0 +1,145 @@
+// services/MatchVerificationService.js
+const jsQR = require("jsqr");
+const Jimp = require("jimp");
+
+const PURE_BLACK_INT = Jimp.rgbaToInt(0, 0, 0, 255);
+
+// Display pixels darker than this (red channel) count as dark modules.
+const DARK_THRESHOLD = 128;
+
+class MatchVerificationService {
+  /**
+   * Checks a match against the QR the user is actually shown: that the display render
+   * scans back to the searched content, and that it has the same modules as the search
+   * render where the pattern was found. The two are rendered with different option sets,
+   * so a library default (mask, version) drifting between them would otherwise go unseen.
+   * @param {QRCodeService} qrCodeService - Renders the display QR and reports its geometry.
+   */
+  constructor(qrCodeService) {
+    this.qrCodeService = qrCodeService;
+  }
+
+  /**
+   * @param {object} params
+   * @param {string} params.url - The searched content (URL or other payload).
+   * @param {object} params.searchOptions - qrcode options of the search render.
+   * @param {object} params.displayOptions - qrcode options of the display render.
+   * @param {{x: number, y: number}} params.location - Where the pattern was found, in search pixels.
+   * @param {string} params.orientation - The matched orientation, e.g. "rot0".
+   * @param {number} params.mismatches - Pixels that differed in the search render.
+   * @param {PatternMatcherService|null} params.matcher - The pattern's matcher; without it
+   *   the re-match is skipped.
+   * @returns {Promise<{status: string, decoded: boolean, decodedText: string|null,
+   *   layoutMatches: boolean|null, displayMismatches: number|null, problems: string[],
+   *   verifiedAt: string}>} status is "verified" when every check that ran passed,
+   *   "failed" otherwise; problems describes each failure.
+   */
+  async verify({
+    url,
+    searchOptions,
+    displayOptions,
+    location,
+    orientation,
+    mismatches,
+    matcher,
+  }) {
+    const problems = [];
+    const image = await this.qrCodeService.generateQRCodeToJimp(url, displayOptions);
+    let decodedText = null;
+    let layoutMatches = null;
+    let displayMismatches = null;
+
+    if (!image) {
+      problems.push("The display QR could not be rendered.");
+    } else {
+      decodedText = this.decode(image);
+      if (decodedText === null) {
+        problems.push("The display QR could not be decoded.");
+      } else if (decodedText !== url) {
+        problems.push("The display QR decodes to different content.");
+      }
+
+      const patternMatrix = matcher ? matcher.getOrientationMatrix(orientation) : null;
+      if (patternMatrix) {
+        const searchGeometry = this.qrCodeService.getSymbolGeometry(url, searchOptions);
+        const displayGeometry = this.qrCodeService.getSymbolGeometry(url, displayOptions);
+        if (!searchGeometry || !displayGeometry || searchGeometry.size !== displayGeometry.size) {
+          layoutMatches = false;
+          problems.push(
+            "The display QR has a different module layout (version) than the searched one."
+          );
+        } else {
+          displayMismatches = this.countMismatchesOnDisplay(
+            image,
+            patternMatrix,
+            location,
+            searchGeometry,
+            displayGeometry
+          );
+          layoutMatches = displayMismatches === mismatches;
+          if (!layoutMatches) {
+            problems.push(
+              `The pattern differs by ${displayMismatches} px at (${location.x}, ${location.y}) ` +
+                `on the display QR, not ${mismatches}.`
+            );
+          }
+        }
+      }
+    }
+
+    return {
+      status: problems.length === 0 ? "verified" : "failed",
+      decoded: decodedText !== null,
+      decodedText: decodedText === url ? null : decodedText, // Only kept when it's wrong.
+      layoutMatches,
+      displayMismatches,
+      problems,
+      verifiedAt: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * @param {Jimp} image
+   * @returns {string|null} The decoded content (UTF-8), or null if no QR was found.
+   */
+  decode(image) {
+    const { data, width, height } = image.bitmap;
+    const pixels = new Uint8ClampedArray(data.buffer, data.byteOffset, data.length);
+    const result = jsQR(pixels, width, height, { inversionAttempts: "dontInvert" });
+    if (!result) return null;
+    // jsQR guesses the byte-mode encoding; qrcode always writes UTF-8.
+    return Buffer.from(result.binaryData).toString("utf8");
+  }
+
+  // Counts pattern pixels that differ from the display image when the pattern's top-left is
+  // at `location` in the search render. Each search pixel is mapped to its module and the
+  // module's centre pixel is read from the display image; modules off the image are light.
+  countMismatchesOnDisplay(image, patternMatrix, location, searchGeometry, displayGeometry) {
+    const isDarkAt = (searchX, searchY) => {
+      const toDisplayCentre = (searchPixel) =>
+        (Math.floor(searchPixel / searchGeometry.scale) -
+          searchGeometry.margin +
+          displayGeometry.margin) *
+          displayGeometry.scale +
+        Math.floor(displayGeometry.scale / 2);
+      const x = toDisplayCentre(searchX);
+      const y = toDisplayCentre(searchY);
+      if (x < 0 || y < 0 || x >= image.bitmap.width || y >= image.bitmap.height) {
+        return false;
+      }
+      return image.bitmap.data[image.getPixelIndex(x, y)] < DARK_THRESHOLD;
+    };
+
+    let mismatches = 0;
+    patternMatrix.forEach((row, yP) => {
+      row.forEach((color, xP) => {
+        if (color === null) return; // Don't care.
+        const patternIsDark = color === PURE_BLACK_INT;
+        if (patternIsDark !== isDarkAt(location.x + xP, location.y + yP)) mismatches++;
+      });
+    });
+    return mismatches;
+  }
+}
+
+module.exports = MatchVerificationService;
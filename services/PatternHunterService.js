@@ -0,0 +1,768 @@
+// services/PatternHunterService.js
+const EventEmitter = require("events");
+const path = require("path");
+const Jimp = require("jimp");
+
+const PatternMatcherService = require("./PatternMatcherService");
+const SeededRandom = require("./SeededRandom");
+const URLGeneratorRegistry = require("./URLGeneratorRegistry");
+const SearchWorkerPool = require("./SearchWorkerPool");
+const MatchPipelineService = require("./MatchPipelineService");
+const MatchListService = require("./MatchListService");
+
+const { DEFAULT_URL_GENERATOR } = URLGeneratorRegistry;
+const MAX_SEED_LENGTH = 100;
+const SEED_REGEX = /^[A-Za-z0-9_.:-]*$/; // Seeds are shown in the UI and stored with matches.
+const SELF_TEST_URL = "self_test_mock_pattern_main_thread";
+const DEFAULT_HIT_RATE_MIN_SCANS = 1000;
+const PURE_WHITE_INT = Jimp.rgbaToInt(255, 255, 255, 255);
+
+// e.g. "'a.png' (Image contains pixels that are ...), 'b.png' (...)"
+function describeFailedPatterns(failedPatterns) {
+  return failedPatterns
+    .map(({ patternFile, error }) =>
+      error ? `'${patternFile}' (${error})` : `'${patternFile}'`
+    )
+    .join(", ");
+}
+
+// Checks stop conditions from a start request ({ maxScans, maxMatches, maxDurationMs,
+// minHitRate: { rate, pattern, minScans } }, every field optional) and fills in defaults.
+// Returns { stopConditions } or { error }.
+function normalizeStopConditions(raw, selectedPatternFiles) {
+  if (raw === undefined || raw === null) return { stopConditions: {} };
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    return { error: "Stop conditions must be an object." };
+  }
+  const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+  const stopConditions = {};
+  for (const key of ["maxScans", "maxMatches"]) {
+    if (raw[key] === undefined || raw[key] === null) continue;
+    if (!isPositiveInteger(raw[key])) {
+      return { error: `${key} must be a positive whole number.` };
+    }
+    stopConditions[key] = raw[key];
+  }
+  if (raw.maxDurationMs !== undefined && raw.maxDurationMs !== null) {
+    if (typeof raw.maxDurationMs !== "number" || !(raw.maxDurationMs > 0)) {
+      return { error: "maxDurationMs must be a positive number of milliseconds." };
+    }
+    stopConditions.maxDurationMs = raw.maxDurationMs;
+  }
+  if (raw.minHitRate !== undefined && raw.minHitRate !== null) {
+    const { rate, pattern = null, minScans = DEFAULT_HIT_RATE_MIN_SCANS } = raw.minHitRate;
+    if (typeof rate !== "number" || !(rate > 0 && rate <= 1)) {
+      return { error: "minHitRate.rate must be a fraction of scans between 0 and 1." };
+    }
+    if (pattern !== null && !selectedPatternFiles.includes(pattern)) {
+      return { error: `minHitRate.pattern '${pattern}' is not one of the selected patterns.` };
+    }
+    if (!isPositiveInteger(minScans)) {
+      return { error: "minHitRate.minScans must be a positive whole number." };
+    }
+    stopConditions.minHitRate = { rate, pattern, minScans };
+  }
+  return { stopConditions };
+}
+
+class PatternHunterService extends EventEmitter {
+  /**
+   * The Pattern Hunter search: generates URLs (or other payloads), spreads them over a pool
+   * of qr_worker.js threads and collects the matches. This class schedules and stops
+   * searches; the rest is delegated to urlGenerators (URLGeneratorRegistry), workerPool
+   * (SearchWorkerPool), matchPipeline (MatchPipelineService: verify, look up, score) and
+   * matchList (MatchListService: the found matches and their store). Used by the web server
+   * and the CLI, so it knows nothing about Express or Socket.IO; it reports through events:
+   *   "status" (getSearchStatus()) when a search starts, stops or finishes its self-test;
+   *     after a stop it carries `stopReason` and the `lastRun` summary,
+   *   "stopped" (the `lastRun` summary) once a stop has finished, whoever started it,
+   *   "match" (match data) for every match found.
+   * @param {object} options
+   * @param {object} options.config - The application config (config.js).
+   * @param {string} options.rootDir - Project directory; relative config paths resolve against it.
+   * @param {string} options.uploadsDir
+   * @param {string} options.templatesDir
+   * @param {QRCodeService} options.qrCodeService - Renders display QRs of matches.
+   * @param {PatternTemplateService} options.patternTemplateService
+   * @param {MatchStoreService} options.matchStore - Where matches are persisted.
+   * @param {RunHistoryService} [options.runHistory] - Where run summaries are kept, if anywhere.
+   * @param {number} [options.workerCount] - Defaults to one less than the number of CPUs.
+   * @param {boolean} [options.runSelfTest=true] - Run the main-thread self-test on the first search.
+   * @param {boolean} [options.renderDisplayImages=true] - Write each match's display PNG right
+   *   away. Without it only the file name is recorded and the server renders it on request.
+   */
+  constructor({
+    config,
+    rootDir,
+    uploadsDir,
+    templatesDir,
+    qrCodeService,
+    patternTemplateService,
+    matchStore,
+    runHistory = null,
+    workerCount,
+    runSelfTest = true,
+    renderDisplayImages = true,
+  }) {
+    super();
+    this.config = config;
+    this.rootDir = rootDir;
+    this.uploadsDir = uploadsDir;
+    this.templatesDir = templatesDir;
+    this.patternTemplateService = patternTemplateService;
+    this.matchStore = matchStore;
+    this.runHistory = runHistory;
+    this.runSelfTest = runSelfTest;
+    this.urlGenerators = new URLGeneratorRegistry(config, rootDir);
+    this.matchPipeline = new MatchPipelineService({
+      config,
+      rootDir,
+      qrCodeService,
+      renderDisplayImages,
+    });
+    this.matchList = new MatchListService({
+      matchStore,
+      uploadsDir,
+      matchPipeline: this.matchPipeline,
+    });
+    this.workerPool = new SearchWorkerPool({
+      workerScript: path.join(rootDir, "qr_worker.js"),
+      size: workerCount,
+    });
+    this.workerPool.on("result", (message, task) => this.handleScanResult(message, task));
+    this.workerPool.on("failed", (err) => {
+      if (this.isSearching) {
+        this.stopSearchInBackground({ code: "error", message: `Search failed: ${err.message}` });
+      }
+    });
+    // One matcher per selected pattern, keyed by pattern filename.
+    this.mainThreadPatternMatchers = new Map();
+    this.pendingMatches = new Set(); // handleMatchFound() calls still running (see drain()).
+    this.stopping = null; // stopSearch()'s wind-down while it runs; a new search waits for it.
+
+    // --- Search State ---
+    this.selectedPatternFiles = [];
+    this.isSearching = false;
+    this.searchedCount = 0;
+    this.searchStartedAt = null; // Date.now() when the current/last search started
+    this.searchStoppedAt = null;
+    this.testRunCompleted = !this.runSelfTest;
+    this.activeGeneratorName = DEFAULT_URL_GENERATOR;
+    this.urlTemplate = null; // Compiled template of the active generator.
+    this.urlEnumerator = null; // Its enumerator; null when config.urlEnumeration.mode is "random".
+    // Random mode draws URLs from a seeded stream so a run can be replayed from its seed.
+    this.searchSeed = null;
+    this.seededRandom = null;
+    this.nextStreamIndex = 0; // Position of the next URL in the seeded stream.
+    this.lastCheckpointAt = 0;
+    // Current run: its id, limits, and counters the limits are checked against.
+    this.runId = null;
+    this.stopConditions = {};
+    this.tasksGenerated = 0;
+    this.runMatchCount = 0;
+    this.runMatchCountsByPattern = {};
+    this.stopReason = null; // { code, message } of the last stop.
+    this.lastRun = null; // Summary of the last finished run.
+  }
+
+  /**
+   * Compiles the URL generators (config.urlTemplate, config.urlGenerators and `extraGenerators`),
+   * loads their enumeration checkpoints and sets up domain availability checks.
+   * @param {Object<string, string|object>} [extraGenerators] - More generators by name.
+   * @throws {Error} If a template, word list or the urlEnumeration/domainAvailability settings are invalid.
+   */
+  async initialize(extraGenerators = {}) {
+    await this.urlGenerators.load(extraGenerators);
+    this.selectUrlGenerator(DEFAULT_URL_GENERATOR);
+    this.matchPipeline.initialize(this.urlGenerators.wordLists);
+    this.matchList.rescore(); // Stored and imported scores follow the current weights.
+  }
+
+  // Restores the summary of the last run, so it still shows after a restart.
+  async loadLastRun() {
+    if (!this.runHistory) return;
+    const runs = await this.runHistory.load();
+    this.lastRun = runs.length > 0 ? runs[runs.length - 1] : null;
+    this.stopReason = this.lastRun ? this.lastRun.stopReason : null;
+  }
+
+  // --- URL Generation ---
+  generateRandomUrl(random = Math.random) {
+    return this.urlTemplate.generate(random);
+  }
+
+  // Average QR codes scanned per second over the current (or last) search.
+  getScanRate() {
+    if (!this.searchStartedAt) return 0;
+    const elapsedMs = (this.searchStoppedAt || Date.now()) - this.searchStartedAt;
+    return elapsedMs > 0 ? (this.searchedCount * 1000) / elapsedMs : 0;
+  }
+
+  getSearchStatus() {
+    return {
+      searchedCount: this.searchedCount,
+      isSearching: this.isSearching,
+      foundCount: this.matchList.matches.length,
+      patternCounts: this.matchList.countsByPattern,
+      scanRate: this.getScanRate(),
+      coverage: this.getCoverageStatus(),
+      seed: this.searchSeed,
+      generator: this.activeGeneratorName,
+      stopConditions: this.stopConditions,
+      stopReason: this.stopReason,
+      lastRun: this.lastRun,
+      workers: this.workerPool.getStatus(),
+    };
+  }
+
+  // --- URL Generators & Enumeration ---
+  selectUrlGenerator(generatorName) {
+    const generator = this.urlGenerators.get(generatorName);
+    this.activeGeneratorName = generator.name;
+    this.urlTemplate = generator.template;
+    this.urlEnumerator = generator.enumerator;
+  }
+
+  // Next task for the queue, or null once an enumeration has handed out every URL.
+  generateSearchTask() {
+    if (!this.urlEnumerator) {
+      // URLs are drawn here on the main thread from one stream, so the sequence doesn't
+      // depend on how many workers scan it or in which order they finish.
+      return {
+        type: "processURL",
+        url: this.generateRandomUrl(() => this.seededRandom.next()),
+        generator: this.activeGeneratorName,
+        seed: this.searchSeed,
+        streamIndex: this.nextStreamIndex++,
+      };
+    }
+    const next = this.urlEnumerator.next();
+    if (!next) return null;
+    return {
+      type: "processURL",
+      url: next.value,
+      generator: this.activeGeneratorName,
+      index: next.index,
+    };
+  }
+
+  // Index of the oldest enumerated URL that hasn't been scanned yet (queued or in flight).
+  // Checkpointing this instead of the cursor means a crash re-scans a few URLs but skips none.
+  getEnumerationWatermark() {
+    let watermark = this.urlEnumerator.cursor;
+    for (const task of this.workerPool.getPendingTasks()) {
+      if (task.index !== undefined && task.index < watermark) watermark = task.index;
+    }
+    return watermark;
+  }
+
+  getCoverageStatus() {
+    if (!this.urlEnumerator) return null;
+    const covered = this.getEnumerationWatermark();
+    return {
+      mode: this.urlEnumerator.order,
+      covered: covered.toString(), // BigInt doesn't survive JSON/Socket.IO.
+      total: this.urlEnumerator.total.toString(),
+      percent: this.urlEnumerator.coverage(covered) * 100,
+    };
+  }
+
+  async saveEnumerationCheckpoint() {
+    if (!this.urlEnumerator) return;
+    this.lastCheckpointAt = Date.now();
+    await this.urlEnumerator.saveCheckpoint(this.getEnumerationWatermark());
+  }
+
+  // --- Scan Results ---
+  // Called by the worker pool for every scanned URL.
+  handleScanResult(message, task) {
+    this.searchedCount++;
+    (message.matches || []).forEach((match) => {
+      // Counted here rather than once handled, so maxMatches reacts right away.
+      this.runMatchCount++;
+      this.runMatchCountsByPattern[match.pattern] =
+        (this.runMatchCountsByPattern[match.pattern] || 0) + 1;
+      const pending = this.handleMatchFound(message.url, match, false, task).catch((err) =>
+        console.error(`Pattern Hunter: Error handling match for ${message.url}:`, err)
+      );
+      this.pendingMatches.add(pending);
+      pending.finally(() => this.pendingMatches.delete(pending));
+    });
+    this.stopIfLimitReached();
+  }
+
+  // `task` is the queued task the URL came from; it carries the seed and stream position.
+  async handleMatchFound(url, matchLocation, isTest = false, task = null) {
+    const generator = task && task.generator ? this.urlGenerators.get(task.generator) : null;
+    const matchData = await this.matchPipeline.processHit({
+      url,
+      matchLocation,
+      payloadType: generator ? generator.payloadType : "url",
+      task,
+      runId: this.runId,
+      matcher: this.mainThreadPatternMatchers.get(matchLocation.pattern) || null,
+      isTest,
+    });
+    if (!matchData) return;
+
+    this.matchList.add(matchData);
+    this.emit("match", matchData);
+    console.log(
+      `${isTest ? "[SELF-TEST] " : ""}MATCH FOUND: URL: ${url}, Pattern: ${
+        matchData.pattern
+      } at (${matchData.location.x},${matchData.location.y}) [${
+        matchData.orientation
+      }, ${matchData.mismatches} mismatch(es), zone: ${
+        matchData.zone || "unknown"
+      }${
+        matchData.qrOptions
+          ? `, EC ${matchData.qrOptions.errorCorrectionLevel}, mask ${matchData.qrOptions.maskPattern}`
+          : ""
+      }], ${
+        matchData.occurrenceCount
+      } occurrence(s)`
+    );
+    if (matchData.verification && matchData.verification.status === "failed") {
+      console.warn(
+        `MATCH VERIFICATION FAILED for ${url}: ${matchData.verification.problems.join(" ")}`
+      );
+    }
+  }
+
+  // --- Self-Test ---
+  async runMainThreadSelfTest() {
+    if (this.selectedPatternFiles.length === 0) {
+      console.error("[SELF-TEST] No pattern file selected. Skipping self-test.");
+      this.testRunCompleted = true;
+      return;
+    }
+
+    for (const patternFile of this.selectedPatternFiles) {
+      await this.runMainThreadSelfTestForPattern(patternFile);
+    }
+    this.searchedCount++;
+    this.testRunCompleted = true;
+  }
+
+  async runMainThreadSelfTestForPattern(patternFile) {
+    const matcher = this.mainThreadPatternMatchers.get(patternFile);
+    if (!matcher || !matcher.patternMatrix || !matcher.patternImage) {
+      console.error(
+        `[SELF-TEST] Pattern '${patternFile}' not properly loaded in mainThreadPatternMatchers. Skipping self-test.`
+      );
+      return;
+    }
+
+    console.log(
+      `[SELF-TEST - Scan ${this.searchedCount + 1}] Simulating QR with pattern: ${
+        matcher.patternFileName
+      }`
+    );
+
+    const mockQrWidth = matcher.patternWidth + 5;
+    const mockQrHeight = matcher.patternHeight + 5;
+    const qrJimpImage = new Jimp(mockQrWidth, mockQrHeight, PURE_WHITE_INT);
+    const testPatternX = 2,
+      testPatternY = 2;
+
+    qrJimpImage.blit(matcher.patternImage, testPatternX, testPatternY);
+
+    try {
+      await qrJimpImage.writeAsync(
+        path.join(
+          this.uploadsDir,
+          `mock_qr_main_thread_test_${path.parse(patternFile).name}.png`
+        )
+      );
+    } catch (e) {
+      console.warn("[SELF-TEST] Could not save mock QR image:", e);
+    }
+
+    const matchLocation = matcher.findPatternInQr(qrJimpImage, true);
+
+    if (matchLocation) {
+      await this.handleMatchFound(SELF_TEST_URL, matchLocation, true);
+    } else {
+      console.log(
+        `[SELF-TEST] No match found for '${patternFile}' in its own mock QR. Check pattern/logic.`
+      );
+    }
+  }
+
+  // --- Search Logic & Scheduling ---
+  async mainSearchScheduler() {
+    if (!this.isSearching) return;
+
+    if (!this.testRunCompleted) {
+      await this.runMainThreadSelfTest();
+      this.emit("status", this.getSearchStatus());
+    }
+
+    const maxQueueSize = this.workerPool.desiredWorkers * this.config.tasksQueuedPerWorker;
+    const { maxScans } = this.stopConditions;
+    while (
+      this.isSearching &&
+      this.workerPool.taskQueue.length < maxQueueSize &&
+      !(maxScans && this.tasksGenerated >= maxScans) // Don't hand out more than the limit.
+    ) {
+      const task = this.generateSearchTask();
+      if (!task) break;
+      this.tasksGenerated++;
+      this.workerPool.enqueue(task);
+    }
+    this.workerPool.dispatch();
+
+    if (this.stopIfLimitReached()) return;
+    if (
+      this.urlEnumerator &&
+      Date.now() - this.lastCheckpointAt >=
+        this.config.urlEnumeration.checkpointIntervalMs
+    ) {
+      await this.saveEnumerationCheckpoint();
+    }
+
+    if (this.isSearching) {
+      setTimeout(() => this.runSchedulerPass(), this.config.delayBetweenBatchesMs);
+    }
+  }
+
+  // Winds the search down if a stop condition is met. Called after every scan result and
+  // every scheduler pass; results already in flight still come in after the stop.
+  stopIfLimitReached() {
+    if (!this.isSearching) return false;
+    const stopReason = this.checkStopConditions();
+    if (!stopReason) return false;
+    console.log(`Pattern Hunter: ${stopReason.message}. Stopping search.`);
+    this.stopSearchInBackground(stopReason);
+    return true;
+  }
+
+  // For stops nobody awaits (limits, scheduler failures): errors are logged, not thrown.
+  stopSearchInBackground(reason) {
+    this.stopSearch(reason).catch((err) =>
+      console.error("Pattern Hunter: Error stopping search:", err)
+    );
+  }
+
+  // Runs a scheduler pass from a timer. A pass that throws (e.g. a checkpoint that can't be
+  // written) ends the search rather than leaving it stalled.
+  runSchedulerPass() {
+    this.mainSearchScheduler().catch((err) => {
+      console.error("Pattern Hunter: Search scheduler failed:", err);
+      if (this.isSearching) {
+        this.stopSearchInBackground({ code: "error", message: `Search failed: ${err.message}` });
+      }
+    });
+  }
+
+  // Returns the { code, message } reason to stop now, or null to keep going.
+  checkStopConditions() {
+    const idle = this.workerPool.isIdle();
+    if (this.urlEnumerator && !this.urlEnumerator.hasNext() && idle) {
+      return {
+        code: "exhausted",
+        message: "Every URL in the enumerated space has been scanned",
+      };
+    }
+    const { maxScans, maxMatches, maxDurationMs, minHitRate } = this.stopConditions;
+    if (maxScans && this.tasksGenerated >= maxScans && idle) {
+      return { code: "maxScans", message: `Scanned ${maxScans} QR code(s)` };
+    }
+    if (maxMatches && this.runMatchCount >= maxMatches) {
+      return { code: "maxMatches", message: `Found ${maxMatches} match(es)` };
+    }
+    if (maxDurationMs && Date.now() - this.searchStartedAt >= maxDurationMs) {
+      return {
+        code: "maxDuration",
+        message: `Ran for ${(maxDurationMs / 1000).toLocaleString()}s`,
+      };
+    }
+    if (minHitRate && this.searchedCount >= minHitRate.minScans) {
+      const hits = minHitRate.pattern
+        ? this.runMatchCountsByPattern[minHitRate.pattern] || 0
+        : this.runMatchCount;
+      const hitRate = hits / this.searchedCount;
+      if (hitRate < minHitRate.rate) {
+        return {
+          code: "minHitRate",
+          message: `Hit rate${
+            minHitRate.pattern ? ` for ${minHitRate.pattern}` : ""
+          } fell to ${Number(hitRate.toPrecision(3))}, below ${minHitRate.rate}`,
+        };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Starts a search with the selected patterns.
+   * @param {object} [options]
+   * @param {string} [options.seed] - Replays a previous random-mode run (same generator too).
+   * @param {string} [options.generator="default"] - Name of the URL generator to use.
+   * @param {object} [options.stopConditions] - Limits after which the search stops by itself:
+   *   { maxScans, maxMatches, maxDurationMs, minHitRate: { rate, pattern, minScans } }, where
+   *   minHitRate stops once matches per scanned QR (of one pattern, or all) drop below `rate`,
+   *   checked after `minScans` scans (default 1000).
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async startSearch(options = {}) {
+    const seed =
+      options && options.seed !== undefined && options.seed !== null
+        ? String(options.seed).trim()
+        : "";
+    if (seed.length > MAX_SEED_LENGTH || !SEED_REGEX.test(seed)) {
+      return {
+        success: false,
+        error: `Seeds may use up to ${MAX_SEED_LENGTH} letters, digits, '-', '_', '.' and ':'.`,
+      };
+    }
+    if (this.stopping) await this.stopping.catch(() => {}); // Logged by whoever stopped it.
+    if (this.isSearching) {
+      console.log(
+        "Pattern Hunter: Search start request ignored, already running."
+      );
+      return { success: false, error: "Search is already in progress." };
+    }
+    const generatorName =
+      (options && options.generator) || DEFAULT_URL_GENERATOR;
+    if (!this.urlGenerators.has(generatorName)) {
+      return { success: false, error: `Unknown URL generator '${generatorName}'.` };
+    }
+    if (this.selectedPatternFiles.length === 0) {
+      return {
+        success: false,
+        error: "Cannot start search: No pattern file was selected at server startup.",
+      };
+    }
+    const { stopConditions, error } = normalizeStopConditions(
+      options && options.stopConditions,
+      this.selectedPatternFiles
+    );
+    if (error) return { success: false, error };
+    this.selectUrlGenerator(generatorName);
+    if (this.urlEnumerator && !this.urlEnumerator.hasNext()) {
+      return {
+        success: false,
+        error: `Every URL of generator '${this.activeGeneratorName}' has been scanned. Delete ${path.relative(
+          this.rootDir,
+          this.urlEnumerator.checkpointFile
+        )} or change the shuffle key to start over.`,
+      };
+    }
+    if (this.runSelfTest) {
+      const failedPatterns = await this.loadMainThreadPatterns();
+      if (failedPatterns.length > 0) {
+        const errorMsg = `Main thread failed to load pattern(s) ${describeFailedPatterns(
+          failedPatterns
+        )} for self-test. Cannot start search.`;
+        console.error(errorMsg);
+        return { success: false, error: errorMsg };
+      }
+    }
+
+    this.initializeSearchStateForStart(seed, stopConditions);
+    if (this.searchSeed !== null) {
+      console.log(`Pattern Hunter: Random URL stream seed: ${this.searchSeed}`);
+    }
+    await this.workerPool.start(this.getWorkerData());
+
+    this.emit("status", this.getSearchStatus());
+    this.runSchedulerPass();
+    return { success: true };
+  }
+
+  initializeSearchStateForStart(seed, stopConditions = {}) {
+    this.isSearching = true;
+    this.runId = `run_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
+    this.stopConditions = stopConditions;
+    this.tasksGenerated = 0;
+    this.runMatchCount = 0;
+    this.runMatchCountsByPattern = {};
+    this.stopReason = null;
+    // Enumeration modes are already deterministic; only random mode uses a seed.
+    this.searchSeed = this.urlEnumerator ? null : seed || SeededRandom.generateSeed();
+    this.seededRandom = this.searchSeed === null ? null : new SeededRandom(this.searchSeed);
+    this.nextStreamIndex = 0;
+    this.testRunCompleted = !this.runSelfTest;
+    this.searchedCount = 0;
+    this.searchStartedAt = Date.now();
+    this.searchStoppedAt = null;
+  }
+
+  // For qr_worker.js: the patterns to look for and how to render and match QRs.
+  getWorkerData() {
+    return {
+      uploadsDir: this.uploadsDir,
+      templatesDir: this.templatesDir,
+      patternFiles: this.selectedPatternFiles,
+      qrSearchOptions: this.config.qrSearchOptions,
+      useBitPackedMatcher: this.config.useBitPackedMatcher,
+      qrVariantSearch: this.config.qrVariantSearch,
+      patternMatchOptions: this.config.patternMatchOptions,
+    };
+  }
+
+  /**
+   * Stops the search and records the run's summary. Resolves once the run is over: workers
+   * terminated, matches already reported handled, summary saved.
+   * @param {{code: string, message: string}} [reason] - Why; defaults to a manual stop.
+   */
+  async stopSearch(reason = { code: "manual", message: "Stopped by request" }) {
+    this.isSearching = false;
+    this.searchStoppedAt = Date.now();
+    this.stopReason = reason;
+    console.log(
+      "Pattern Hunter: Search stopping... Clearing task queue and terminating workers."
+    );
+    if (this.urlEnumerator) {
+      // Hand the unscanned strings out again next time instead of skipping them.
+      this.urlEnumerator.rewindTo(this.getEnumerationWatermark());
+    }
+    this.stopping = this.finishRun();
+    try {
+      await this.stopping;
+    } finally {
+      this.stopping = null;
+      this.emit("stopped", this.lastRun);
+    }
+  }
+
+  // The summary is built only once nothing more can arrive, so its counts match the status
+  // shown from then on. Results of the URLs being scanned at the stop are dropped; they were
+  // rewound above. The final status goes out last, so whoever acts on it finds the checkpoint
+  // and the run summary already saved.
+  async finishRun() {
+    await this.workerPool.stop();
+    await Promise.allSettled([...this.pendingMatches]);
+    this.lastRun = this.buildRunSummary();
+    await this.saveEnumerationCheckpoint();
+    if (this.runHistory) {
+      await this.runHistory.append(this.lastRun);
+    }
+    this.emit("status", this.getSearchStatus());
+  }
+
+  buildRunSummary() {
+    return {
+      id: this.runId,
+      startedAt: new Date(this.searchStartedAt).toISOString(),
+      stoppedAt: new Date(this.searchStoppedAt).toISOString(),
+      durationMs: this.searchStoppedAt - this.searchStartedAt,
+      patterns: [...this.selectedPatternFiles],
+      generator: this.activeGeneratorName,
+      seed: this.searchSeed,
+      stopConditions: this.stopConditions,
+      stopReason: this.stopReason,
+      searchedCount: this.searchedCount,
+      scanRate: this.getScanRate(),
+      matchCount: this.runMatchCount,
+      matchCountsByPattern: { ...this.runMatchCountsByPattern },
+      coverage: this.getCoverageStatus(),
+    };
+  }
+
+  /**
+   * Adds matches exported from another server to the collection (see MatchListService.import),
+   * checking their hits against this server's templates.
+   * @param {object[]} records - Match records from an export.
+   * @returns {Promise<{imported: object[], duplicates: number, invalid: number}>}
+   */
+  async importMatches(records) {
+    const templates = new Set(await this.patternTemplateService.listTemplates());
+    return this.matchList.import(records, (patternFile) =>
+      this.loadImportMatcher(patternFile, templates)
+    );
+  }
+
+  // A matcher for an imported match's pattern, or null if this server has no such template.
+  async loadImportMatcher(patternFile, templates) {
+    const loaded = this.mainThreadPatternMatchers.get(patternFile);
+    if (loaded && loaded.patternMatrix) return loaded;
+    if (!templates.has(patternFile)) return null;
+    const matcher = new PatternMatcherService(this.templatesDir, this.config.patternMatchOptions);
+    return (await matcher.loadPattern(patternFile)) ? matcher : null;
+  }
+
+  /**
+   * Waits until matches reported so far are handled (availability checked, display QR
+   * rendered, saved to the match store), a stop in progress has saved the checkpoint and
+   * run summary, and the workers have exited. For callers that exit the process right after
+   * a search stops.
+   */
+  async drain() {
+    if (this.stopping) await this.stopping.catch(() => {}); // Logged by whoever stopped it.
+    await this.workerPool.terminateAll();
+    await Promise.allSettled([...this.pendingMatches]);
+    await this.matchStore.flush();
+    if (this.runHistory) await this.runHistory.flush();
+  }
+
+  // --- Patterns ---
+  // Loads any selected pattern that does not yet have a main-thread matcher.
+  // Returns [{patternFile, error}] for the ones that failed to load (empty when all are ready).
+  async loadMainThreadPatterns() {
+    const failedPatterns = [];
+    for (const patternFile of this.selectedPatternFiles) {
+      const existing = this.mainThreadPatternMatchers.get(patternFile);
+      if (existing && existing.patternMatrix) continue;
+
+      const matcher = new PatternMatcherService(
+        this.templatesDir,
+        this.config.patternMatchOptions
+      );
+      if (await matcher.loadPattern(patternFile)) {
+        this.mainThreadPatternMatchers.set(patternFile, matcher);
+      } else {
+        failedPatterns.push({ patternFile, error: matcher.lastError });
+      }
+    }
+    return failedPatterns;
+  }
+
+  // Switches the active patterns while idle: reloads the main-thread matchers and drops any
+  // leftover workers so the next search spawns fresh ones with the new workerData.
+  // Returns {success, error}; on failure the previous selection stays active.
+  async applyPatternSelection(patternFiles) {
+    if (this.isSearching) {
+      return { success: false, error: "Stop the search before changing patterns." };
+    }
+    if (!Array.isArray(patternFiles) || patternFiles.length === 0) {
+      return { success: false, error: "Select at least one pattern file." };
+    }
+    const availableTemplates = await this.patternTemplateService.listTemplates();
+    const unknownFiles = patternFiles.filter(
+      (file) => !availableTemplates.includes(file)
+    );
+    if (unknownFiles.length > 0) {
+      return {
+        success: false,
+        error: `Unknown pattern file(s): ${unknownFiles.join(", ")}`,
+      };
+    }
+
+    const previousSelection = this.selectedPatternFiles;
+    this.selectedPatternFiles = [...new Set(patternFiles)];
+    this.mainThreadPatternMatchers.clear(); // Template files may have been replaced since loading.
+    const failedPatterns = await this.loadMainThreadPatterns();
+    if (failedPatterns.length > 0) {
+      this.selectedPatternFiles = previousSelection;
+      this.mainThreadPatternMatchers.clear();
+      await this.loadMainThreadPatterns();
+      return {
+        success: false,
+        error: `Could not load pattern(s) ${describeFailedPatterns(failedPatterns)}`,
+      };
+    }
+
+    await this.workerPool.terminateAll();
+    console.log(
+      `Pattern Hunter: Now using pattern file(s): ${this.selectedPatternFiles.join(", ")}`
+    );
+    return { success: true };
+  }
+}
+
+PatternHunterService.DEFAULT_URL_GENERATOR = DEFAULT_URL_GENERATOR;
+PatternHunterService.describeFailedPatterns = describeFailedPatterns;
+
+module.exports = PatternHunterService;
@@ -5,20 +5,141 @@ const path = require("path");
 // Pre-calculated integer values for pure black and pure white (opaque)
 const PURE_BLACK_INT = Jimp.rgbaToInt(0, 0, 0, 255);
 const PURE_WHITE_INT = Jimp.rgbaToInt(255, 255, 255, 255);
+// Reserved mid-gray marking a "don't care" cell. Fully transparent pixels (alpha 0, any RGB)
+// mean the same thing. Don't-care cells are stored as null in the pattern matrix.
+const DONT_CARE_GRAY_INT = Jimp.rgbaToInt(128, 128, 128, 255);
+
+const OCCURRENCE_MODES = ["first", "all", "nonOverlapping"];
+const REGION_MODES = ["anywhere", "dataOnly", "mask"];
+const ORIENTATION_REGEX = /^(mirror-)?rot(0|90|180|270)$/; // e.g. "rot90", "mirror-rot180"
+
+function isDontCarePixel(colorInt) {
+  return colorInt === DONT_CARE_GRAY_INT || (colorInt & 0xff) === 0;
+}
+
+// Returns a new matrix rotated 90 degrees clockwise.
+function rotateMatrixClockwise(matrix) {
+  const height = matrix.length;
+  const width = height > 0 ? matrix[0].length : 0;
+  const rotated = [];
+  for (let x = 0; x < width; x++) {
+    const row = [];
+    for (let y = height - 1; y >= 0; y--) {
+      row.push(matrix[y][x]);
+    }
+    rotated.push(row);
+  }
+  return rotated;
+}
+
+// Returns a new matrix mirrored left-to-right.
+function mirrorMatrix(matrix) {
+  return matrix.map((row) => row.slice().reverse());
+}
+
+// Bit-packed pattern rows are split into chunks of at most 32 pixels so each chunk can be
+// compared against a QR bit-grid window with a single XOR.
+const BIT_CHUNK_WIDTH = 32;
+
+// Reads `width` (1-32) pixels starting at x from a bit-packed row (see
+// QRCodeService.generateQRCodeBitGrid), LSB = leftmost pixel.
+function readBits(row, x, width) {
+  const shift = x & 31;
+  const index = x >>> 5;
+  let value = row[index] >>> shift;
+  if (shift !== 0) value |= row[index + 1] << (32 - shift);
+  return width === 32 ? value | 0 : value & ((1 << width) - 1);
+}
+
+function popcount32(n) {
+  n = n - ((n >>> 1) & 0x55555555);
+  n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+  return Math.imul((n + (n >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24;
+}
+
+// Packs a pattern matrix into per-row chunks {offset, width, bits, careMask}: bits has 1 for
+// black pixels, careMask has 1 for every non-don't-care pixel. All-don't-care chunks are dropped.
+function packMatrixRows(matrix) {
+  return matrix.map((row) => {
+    const chunks = [];
+    for (let offset = 0; offset < row.length; offset += BIT_CHUNK_WIDTH) {
+      const width = Math.min(BIT_CHUNK_WIDTH, row.length - offset);
+      let bits = 0;
+      let careMask = 0;
+      for (let i = 0; i < width; i++) {
+        const colorInt = row[offset + i];
+        if (colorInt === null) continue;
+        careMask |= 1 << i;
+        if (colorInt === PURE_BLACK_INT) bits |= 1 << i;
+      }
+      if (careMask !== 0) chunks.push({ offset, width, bits, careMask });
+    }
+    return chunks;
+  });
+}
+
+function boxesOverlap(a, b) {
+  return (
+    a.x < b.x + b.width &&
+    b.x < a.x + a.width &&
+    a.y < b.y + b.height &&
+    b.y < a.y + a.height
+  );
+}
+
+function matricesEqual(a, b) {
+  if (a.length !== b.length || a[0].length !== b[0].length) return false;
+  for (let y = 0; y < a.length; y++) {
+    for (let x = 0; x < a[y].length; x++) {
+      if (a[y][x] !== b[y][x]) return false;
+    }
+  }
+  return true;
+}
 
 class PatternMatcherService {
-  constructor(templatesDir) {
+  /**
+   * @param {string} templatesDir - Base directory for pattern image files.
+   * @param {object} [options]
+   * @param {boolean} [options.matchAllOrientations=false] - Also match the 3 rotations
+   *   and 4 reflections of the pattern, not just the pattern as drawn.
+   * @param {number} [options.maxMismatches=0] - Hamming-distance tolerance: a region still
+   *   counts as a match when at most this many (non-don't-care) pixels differ.
+   * @param {string} [options.occurrenceMode="first"] - "first" stops at the first (best) hit;
+   *   "all" reports every matching position; "nonOverlapping" reports hits whose bounding
+   *   boxes don't overlap, preferring closer and earlier ones.
+   * @param {string} [options.regionMode="anywhere"] - Where a hit may land: "anywhere",
+   *   "dataOnly" (never on finder/timing/alignment/format/version modules or the quiet
+   *   zone, which look the same in every QR of a version) or "mask" (inside regionMask).
+   * @param {Array<{x: number, y: number, width: number, height: number}>} [options.regionMask]
+   *   Rectangles in QR module coordinates (0,0 = top-left module) for regionMode "mask".
+   */
+  constructor(templatesDir, options = {}) {
     this.templatesDir = templatesDir; // Base directory for pattern image files.
+    this.matchAllOrientations = !!options.matchAllOrientations;
+    this.maxMismatches = Math.max(0, Math.floor(options.maxMismatches || 0));
+    this.occurrenceMode = OCCURRENCE_MODES.includes(options.occurrenceMode)
+      ? options.occurrenceMode
+      : "first";
+    this.regionMode = REGION_MODES.includes(options.regionMode)
+      ? options.regionMode
+      : "anywhere";
+    this.regionMask = options.regionMask || [];
     this.patternImage = null; // Jimp image object of the loaded pattern.
     this.patternMatrix = null; // 2D array of integer colors for the pattern.
+    this.patternVariants = []; // Distinct orientations of patternMatrix to search for.
+    this.patternCaredPixelCount = 0; // Number of non-don't-care pixels, for similarity scores.
     this.patternWidth = 0;
     this.patternHeight = 0;
     this.patternFileName = ""; // Filename of the currently loaded pattern.
+    this.lastError = null; // Why the last loadPattern/loadPatternFromBuffer failed, for display.
   }
 
-  // Validates that the pattern image contains only pure black or pure white pixels.
+  // Validates that the pattern image contains only pure black, pure white or don't-care
+  // (transparent or reserved mid-gray) pixels, and at least one black or white pixel.
   _validatePatternColors(imageObject) {
     let firstInvalidPixel = null;
+    let caredPixelCount = 0;
 
     // Scan image, stopping at the first invalid pixel.
     imageObject.scan(
@@ -36,9 +157,11 @@ class PatternMatcherService {
         const currentColorInt = Jimp.rgbaToInt(red, green, blue, alpha);
 
         if (
-          currentColorInt !== PURE_BLACK_INT &&
-          currentColorInt !== PURE_WHITE_INT
+          currentColorInt === PURE_BLACK_INT ||
+          currentColorInt === PURE_WHITE_INT
         ) {
+          caredPixelCount++;
+        } else if (!isDontCarePixel(currentColorInt)) {
           firstInvalidPixel = {
             x,
             y,
@@ -53,42 +176,66 @@ class PatternMatcherService {
     );
 
     if (firstInvalidPixel) {
-      console.error(
-        `[PatternValidation] Error for pattern '${this.patternFileName}': Image contains non-monochrome pixels.`
-      );
-      console.error(
-        `  First invalid pixel at (${firstInvalidPixel.x}, ${firstInvalidPixel.y}): ` +
+      this._reportValidationError(
+        `Image contains pixels that are neither monochrome nor don't-care.`,
+        `First invalid pixel at (${firstInvalidPixel.x}, ${firstInvalidPixel.y}): ` +
           `R:${firstInvalidPixel.r} G:${firstInvalidPixel.g} B:${firstInvalidPixel.b} A:${firstInvalidPixel.a} ` +
-          `(Hex: 0x${firstInvalidPixel.int.toString(16).padStart(8, "0")})`
-      );
-      console.error(
-        `  Expected opaque pure black (0x${PURE_BLACK_INT.toString(16).padStart(
+          `(Hex: 0x${firstInvalidPixel.int.toString(16).padStart(8, "0")})`,
+        `Expected opaque pure black (0x${PURE_BLACK_INT.toString(16).padStart(
           8,
           "0"
         )}) or ` +
           `opaque pure white (0x${PURE_WHITE_INT.toString(16).padStart(
             8,
             "0"
-          )}).`
+          )}), ` +
+          `or a don't-care pixel: fully transparent (alpha 0) or opaque mid-gray (0x${DONT_CARE_GRAY_INT.toString(
+            16
+          ).padStart(8, "0")}).`
+      );
+      return false;
+    }
+    if (caredPixelCount === 0) {
+      this._reportValidationError(
+        "Every pixel is don't-care, so the pattern would match anywhere.",
+        "Expected at least one opaque pure black or pure white pixel."
       );
       return false;
     }
     return true;
   }
 
-  // Loads a pattern image, validates its colors, and pre-processes it into a color matrix.
+  // Logs a validation failure and keeps it in lastError so callers can show it to users.
+  _reportValidationError(summary, ...details) {
+    console.error(
+      `[PatternValidation] Error for pattern '${this.patternFileName}': ${summary}`
+    );
+    details.forEach((detail) => console.error(`  ${detail}`));
+    this.lastError = [summary, ...details].join(" ");
+  }
+
+  // Loads a pattern image, validates its colors, and pre-processes it into a color matrix
+  // (null entries mark don't-care cells).
   async loadPattern(patternFileName) {
-    this.patternFileName = patternFileName; // Store filename regardless of load success for context.
     const patternPath = path.join(this.templatesDir, patternFileName);
+    return this._loadPatternFrom(patternPath, patternFileName, patternPath);
+  }
+
+  // Same as loadPattern, but from in-memory image data (e.g. an upload) that hasn't been
+  // written to the templates directory yet. Lets callers validate before saving.
+  async loadPatternFromBuffer(buffer, patternFileName) {
+    return this._loadPatternFrom(buffer, patternFileName, "uploaded data");
+  }
+
+  async _loadPatternFrom(source, patternFileName, sourceDescription) {
+    this.patternFileName = patternFileName; // Store filename regardless of load success for context.
+    this.lastError = null;
 
     try {
-      const loadedImage = await Jimp.read(patternPath);
+      const loadedImage = await Jimp.read(source);
 
       if (!this._validatePatternColors(loadedImage)) {
-        this.patternImage = null;
-        this.patternMatrix = null;
-        this.patternWidth = 0;
-        this.patternHeight = 0;
+        this._clearLoadedPattern();
         return false; // Validation failed.
       }
 
@@ -98,34 +245,136 @@ class PatternMatcherService {
       this.patternHeight = this.patternImage.bitmap.height;
 
       this.patternMatrix = [];
+      this.patternCaredPixelCount = 0;
       for (let y = 0; y < this.patternHeight; y++) {
         const row = [];
         for (let x = 0; x < this.patternWidth; x++) {
-          row.push(this.patternImage.getPixelColor(x, y));
+          const colorInt = this.patternImage.getPixelColor(x, y);
+          if (isDontCarePixel(colorInt)) {
+            row.push(null);
+          } else {
+            row.push(colorInt);
+            this.patternCaredPixelCount++;
+          }
         }
         this.patternMatrix.push(row);
       }
+      this.patternVariants = this._buildPatternVariants(this.patternMatrix);
 
       console.log(
-        `[PatternService] Pattern '${patternFileName}' (${this.patternWidth}x${this.patternHeight}) loaded and validated.`
+        `[PatternService] Pattern '${patternFileName}' (${this.patternWidth}x${this.patternHeight}) loaded and validated` +
+          (this.matchAllOrientations
+            ? ` (${this.patternVariants.length} distinct orientation(s)).`
+            : ".")
       );
       return true;
     } catch (err) {
       console.error(
-        `[PatternService] Failed to load pattern '${patternFileName}' from '${patternPath}':`,
+        `[PatternService] Failed to load pattern '${patternFileName}' from '${sourceDescription}':`,
         err.message
       );
-      this.patternImage = null;
-      this.patternMatrix = null;
-      this.patternWidth = 0;
-      this.patternHeight = 0;
+      this.lastError = `Could not read image: ${err.message}`;
+      this._clearLoadedPattern();
       return false;
     }
   }
 
-  // Searches for the pre-loaded pattern within a given QR code Jimp image.
-  // Returns match location {x, y, pattern} or null.
-  findPatternInQr(qrJimpImage, logDetails = false) {
+  _clearLoadedPattern() {
+    this.patternImage = null;
+    this.patternMatrix = null;
+    this.patternVariants = [];
+    this.patternCaredPixelCount = 0;
+    this.patternWidth = 0;
+    this.patternHeight = 0;
+  }
+
+  // Precomputes the orientations of the pattern to search for. With matchAllOrientations
+  // off this is just the pattern as drawn; otherwise all 8 rotations/reflections, with
+  // duplicates (from symmetric patterns) dropped so each layout is only checked once.
+  _buildPatternVariants(matrix) {
+    const variants = [{ orientation: "rot0", matrix }];
+    if (this.matchAllOrientations) {
+      this._addDistinctOrientations(variants, matrix);
+    }
+    // Bit-packed form of each orientation for findPatternInBitGrid.
+    variants.forEach((variant) => {
+      variant.bitRows = packMatrixRows(variant.matrix);
+    });
+    return variants;
+  }
+
+  _addDistinctOrientations(variants, matrix) {
+    const candidates = [];
+    let rotated = matrix;
+    let mirrored = mirrorMatrix(matrix);
+    for (let degrees = 0; degrees < 360; degrees += 90) {
+      if (degrees > 0) {
+        rotated = rotateMatrixClockwise(rotated);
+        mirrored = rotateMatrixClockwise(mirrored);
+        candidates.push({ orientation: `rot${degrees}`, matrix: rotated });
+      }
+      candidates.push({ orientation: `mirror-rot${degrees}`, matrix: mirrored });
+    }
+
+    for (const candidate of candidates) {
+      if (!variants.some((v) => matricesEqual(v.matrix, candidate.matrix))) {
+        variants.push(candidate);
+      }
+    }
+  }
+
+  // Counts pixels of a pattern variant that differ from the QR image with the variant's
+  // top-left at (xQr, yQr). Stops early once the count exceeds `limit`, since the caller
+  // will discard the position anyway.
+  _countMismatchesAt(qrJimpImage, variantMatrix, xQr, yQr, limit) {
+    let mismatches = 0;
+    for (let yP = 0; yP < variantMatrix.length; yP++) {
+      const patternRow = variantMatrix[yP];
+      for (let xP = 0; xP < patternRow.length; xP++) {
+        if (patternRow[xP] === null) continue; // Don't-care cell matches anything.
+        // Use Jimp's method for consistency
+        if (qrJimpImage.getPixelColor(xQr + xP, yQr + yP) !== patternRow[xP]) {
+          mismatches++;
+          if (mismatches > limit) return mismatches;
+        }
+      }
+    }
+    return mismatches;
+  }
+
+  // Bit-packed counterpart of _countMismatchesAt: compares up to 32 pixels per XOR and
+  // counts differences with a popcount.
+  _countBitMismatchesAt(gridRows, variantBitRows, xQr, yQr, limit) {
+    let mismatches = 0;
+    for (let yP = 0; yP < variantBitRows.length; yP++) {
+      const gridRow = gridRows[yQr + yP];
+      const chunks = variantBitRows[yP];
+      for (let i = 0; i < chunks.length; i++) {
+        const chunk = chunks[i];
+        const diff =
+          (readBits(gridRow, xQr + chunk.offset, chunk.width) ^ chunk.bits) &
+          chunk.careMask;
+        if (diff !== 0) {
+          mismatches += popcount32(diff);
+          if (mismatches > limit) return mismatches;
+        }
+      }
+    }
+    return mismatches;
+  }
+
+  // Searches for the pre-loaded pattern (in each of its precomputed orientations) within a
+  // given QR code Jimp image. Returns the best match
+  // {x, y, width, height, pattern, orientation, mismatches, similarity, zone} or null, where
+  // width/height is the size of the matched orientation (swapped for 90/270 rotations).
+  // With maxMismatches at 0 this is the first exact hit in top-left order; otherwise the
+  // closest near-miss within tolerance (earliest position wins ties). In the "all"/"nonOverlapping" occurrence
+  // modes the result also carries `occurrences` (each {x, y, width, height, orientation,
+  // mismatches, zone}, best first) and `occurrenceCount`.
+  // `qrGeometry` ({layout, scale, margin}, see QRCodeService.getQrGeometry) lets hits be
+  // placed in QR zones and filtered by regionMode; without it (e.g. the self-test's mock
+  // image) every hit is accepted and its zone is null.
+  findPatternInQr(qrJimpImage, logDetails = false, qrGeometry = null) {
     if (
       !this.patternMatrix ||
       !this.patternImage ||
@@ -142,56 +391,239 @@ class PatternMatcherService {
     }
 
     const qrBitmap = qrJimpImage.bitmap; // More direct access to bitmap properties
+    return this._searchPositions(
+      qrBitmap.width,
+      qrBitmap.height,
+      (variant, xQr, yQr, limit) =>
+        this._countMismatchesAt(qrJimpImage, variant.matrix, xQr, yQr, limit),
+      qrGeometry,
+      logDetails
+    );
+  }
 
-    // Basic dimension check: pattern cannot be larger than the QR image.
-    if (
-      this.patternWidth > qrBitmap.width ||
-      this.patternHeight > qrBitmap.height
-    ) {
+  // Fast path: same search and results as findPatternInQr, but against a bit grid from
+  // QRCodeService.generateQRCodeBitGrid (which carries its own geometry) instead of a
+  // decoded PNG.
+  findPatternInBitGrid(bitGrid, logDetails = false) {
+    if (!this.patternMatrix || !bitGrid || !bitGrid.rows) {
+      if (logDetails)
+        console.log(
+          "[MATCHER-DEBUG] Pre-flight check failed: Missing patternMatrix or valid bit grid."
+        );
+      return null;
+    }
+
+    return this._searchPositions(
+      bitGrid.width,
+      bitGrid.height,
+      (variant, xQr, yQr, limit) =>
+        this._countBitMismatchesAt(bitGrid.rows, variant.bitRows, xQr, yQr, limit),
+      bitGrid.geometry || null,
+      logDetails
+    );
+  }
+
+  // Shared scan behind findPatternInQr/findPatternInBitGrid. `countMismatches(variant, x, y,
+  // limit)` compares one orientation at one position against the QR being searched.
+  _searchPositions(qrWidth, qrHeight, countMismatches, qrGeometry, logDetails) {
+    // Basic dimension check: at least one orientation must fit inside the QR image.
+    const fittingVariants = this.patternVariants.filter(
+      (v) => v.matrix[0].length <= qrWidth && v.matrix.length <= qrHeight
+    );
+    if (fittingVariants.length === 0) {
       if (logDetails)
         console.log(
           "[MATCHER-DEBUG] Pattern dimensions exceed QR image dimensions."
         );
       return null;
     }
+    if (!qrGeometry && this.regionMode !== "anywhere" && logDetails) {
+      console.log(
+        `[MATCHER-DEBUG] No QR geometry given; regionMode '${this.regionMode}' not applied.`
+      );
+    }
+
+    if (this.occurrenceMode !== "first") {
+      return this._findAllOccurrences(
+        qrWidth,
+        qrHeight,
+        fittingVariants,
+        countMismatches,
+        qrGeometry
+      );
+    }
 
-    // Iterate through possible top-left starting positions of the pattern in the QR image.
-    for (let yQr = 0; yQr <= qrBitmap.height - this.patternHeight; yQr++) {
-      for (let xQr = 0; xQr <= qrBitmap.width - this.patternWidth; xQr++) {
-        let isMatch = true;
-        // if (logDetails && yQr === 2 && xQr === 2) { // Your specific debug hook
-        //   console.log(`[MATCHER-DEBUG] Checking for pattern at target QR pos (${xQr},${yQr})`);
-        // }
-
-        // Compare each pixel of the pattern against the corresponding QR image region.
-        for (let yP = 0; yP < this.patternHeight; yP++) {
-          for (let xP = 0; xP < this.patternWidth; xP++) {
-            const qrPixelColor = qrJimpImage.getPixelColor(xQr + xP, yQr + yP); // Use Jimp's method for consistency
-            const patternPixelColor = this.patternMatrix[yP][xP];
-
-            // if (logDetails && yQr === 2 && xQr === 2) { // Your specific debug hook
-            //   console.log(`  QR(${xQr + xP},${yQr + yP})[0x${qrPixelColor.toString(16).padStart(8, "0")}] vs Pat(${xP},${yP})[0x${patternPixelColor.toString(16).padStart(8, "0")}]`);
-            // }
-
-            if (qrPixelColor !== patternPixelColor) {
-              isMatch = false;
-              // if (logDetails && yQr === 2 && xQr === 2) { console.log("    -> Mismatch!"); }
-              break; // Mismatch found in this row of the pattern.
-            }
+    let bestMatch = null;
+    // Iterate through possible top-left starting positions, trying every orientation at each.
+    for (let yQr = 0; yQr < qrHeight; yQr++) {
+      for (let xQr = 0; xQr < qrWidth; xQr++) {
+        for (const variant of fittingVariants) {
+          const variantHeight = variant.matrix.length;
+          const variantWidth = variant.matrix[0].length;
+          if (yQr + variantHeight > qrHeight || xQr + variantWidth > qrWidth) {
+            continue; // This orientation does not fit at this position.
           }
-          if (!isMatch) {
-            break; // Mismatch found, no need to check further rows for this position.
+
+          // Only accept a strictly better position than the best one found so far.
+          const limit = bestMatch ? bestMatch.mismatches - 1 : this.maxMismatches;
+          const mismatches = countMismatches(variant, xQr, yQr, limit);
+          if (mismatches > limit) continue;
+
+          const region = this._classifyRegion(xQr, yQr, variant, qrGeometry);
+          if (!region.accepted) continue; // Hit outside the allowed region.
+
+          bestMatch = this._buildMatch(xQr, yQr, variant, mismatches, region.zone);
+          if (mismatches === 0) return bestMatch; // Exact hit, nothing can beat it.
+        }
+      }
+    }
+    return bestMatch; // null if the pattern was not found within tolerance.
+  }
+
+  // Collects every position/orientation within tolerance, then (in "nonOverlapping" mode)
+  // greedily keeps the best-ranked hits whose bounding boxes don't overlap.
+  _findAllOccurrences(qrWidth, qrHeight, fittingVariants, countMismatches, qrGeometry) {
+    const candidates = [];
+    for (let yQr = 0; yQr < qrHeight; yQr++) {
+      for (let xQr = 0; xQr < qrWidth; xQr++) {
+        for (const variant of fittingVariants) {
+          const height = variant.matrix.length;
+          const width = variant.matrix[0].length;
+          if (yQr + height > qrHeight || xQr + width > qrWidth) {
+            continue; // This orientation does not fit at this position.
+          }
+          const mismatches = countMismatches(
+            variant,
+            xQr,
+            yQr,
+            this.maxMismatches
+          );
+          if (mismatches > this.maxMismatches) continue;
+
+          const region = this._classifyRegion(xQr, yQr, variant, qrGeometry);
+          if (region.accepted) {
+            candidates.push({
+              x: xQr,
+              y: yQr,
+              width,
+              height,
+              variant,
+              mismatches,
+              zone: region.zone,
+            });
           }
         }
+      }
+    }
+    if (candidates.length === 0) return null;
+
+    // Stable sort keeps top-left scan order among equally close hits.
+    candidates.sort((a, b) => a.mismatches - b.mismatches);
+
+    let kept = candidates;
+    if (this.occurrenceMode === "nonOverlapping") {
+      kept = [];
+      for (const candidate of candidates) {
+        if (!kept.some((k) => boxesOverlap(k, candidate))) kept.push(candidate);
+      }
+    }
+
+    const best = kept[0];
+    return {
+      ...this._buildMatch(best.x, best.y, best.variant, best.mismatches, best.zone),
+      occurrences: kept.map((c) => ({
+        x: c.x,
+        y: c.y,
+        width: c.width,
+        height: c.height,
+        orientation: c.variant.orientation,
+        mismatches: c.mismatches,
+        zone: c.zone,
+      })),
+      occurrenceCount: kept.length,
+    };
+  }
 
-        if (isMatch) {
-          // Pattern found! Return its top-left coordinates and the pattern filename.
-          return { x: xQr, y: yQr, pattern: this.patternFileName };
+  // Works out which QR zone(s) the cared pixels of a hit cover, and whether regionMode
+  // allows it. Returns {accepted, zone}: zone is the single zone name ("data", "finder",
+  // "timing", "alignment", "format", "version", "quietZone"), "mixed" when the hit spans
+  // several, or null without geometry.
+  _classifyRegion(xQr, yQr, variant, qrGeometry) {
+    if (!qrGeometry) return { accepted: true, zone: null };
+
+    const { layout, scale, margin } = qrGeometry;
+    const zones = new Set();
+    let insideMask = true;
+    for (let yP = 0; yP < variant.matrix.length; yP++) {
+      const row = Math.floor((yQr + yP) / scale) - margin;
+      for (let xP = 0; xP < variant.matrix[yP].length; xP++) {
+        if (variant.matrix[yP][xP] === null) continue; // Don't-care cells can land anywhere.
+        const col = Math.floor((xQr + xP) / scale) - margin;
+        zones.add(layout.zoneAt(col, row));
+        if (insideMask && this.regionMode === "mask") {
+          insideMask = this.regionMask.some(
+            (rect) =>
+              col >= rect.x &&
+              col < rect.x + rect.width &&
+              row >= rect.y &&
+              row < rect.y + rect.height
+          );
         }
       }
     }
-    return null; // Pattern not found in the QR image.
+
+    const zone = zones.size === 1 ? zones.values().next().value : "mixed";
+    let accepted = true;
+    if (this.regionMode === "dataOnly") accepted = zone === "data";
+    else if (this.regionMode === "mask") accepted = insideMask;
+    return { accepted, zone };
+  }
+
+  /**
+   * @param {string} orientation - e.g. "rot0" or "mirror-rot90", as reported in a match.
+   * @returns {Array<Array<number|null>>|null} The pattern matrix in that orientation (whether
+   *   or not this matcher searches for it), or null if no pattern is loaded or the
+   *   orientation isn't a valid name.
+   */
+  getOrientationMatrix(orientation) {
+    const parsed = ORIENTATION_REGEX.exec(orientation);
+    if (!this.patternMatrix || !parsed) return null;
+    let matrix = parsed[1] ? mirrorMatrix(this.patternMatrix) : this.patternMatrix;
+    for (let degrees = 0; degrees < Number(parsed[2]); degrees += 90) {
+      matrix = rotateMatrixClockwise(matrix);
+    }
+    return matrix;
+  }
+
+  /**
+   * The QR zone a hit covers, as reported in matches (see _classifyRegion); for re-deriving
+   * the zone of a match found elsewhere.
+   * @param {number} x - Hit position in search pixels.
+   * @param {number} y
+   * @param {string} orientation
+   * @param {{layout: QRFunctionPatternLayout, scale: number, margin: number}} qrGeometry
+   * @returns {string|null} Null if the orientation isn't valid or no pattern is loaded.
+   */
+  getZoneOfHit(x, y, orientation, qrGeometry) {
+    const matrix = this.getOrientationMatrix(orientation);
+    return matrix ? this._classifyRegion(x, y, { matrix }, qrGeometry).zone : null;
+  }
+
+  _buildMatch(x, y, variant, mismatches, zone = null) {
+    return {
+      x,
+      y,
+      width: variant.matrix[0].length,
+      height: variant.matrix.length,
+      pattern: this.patternFileName,
+      orientation: variant.orientation,
+      mismatches,
+      similarity: 1 - mismatches / this.patternCaredPixelCount,
+      zone,
+    };
   }
 }
 
+PatternMatcherService.ORIENTATION_REGEX = ORIENTATION_REGEX;
+
 module.exports = PatternMatcherService;
@@ -0,0 +1,157 @@
+// services/PatternTemplateService.js
+const path = require("path");
+const fs = require("fs").promises;
+const Jimp = require("jimp");
+const PatternMatcherService = require("./PatternMatcherService");
+
+const TEMPLATE_FILE_REGEX = /\.(png|jpe?g|gif|bmp)$/i;
+// Saved templates get conservative names: letters, digits, dashes, underscores and dots.
+const SAFE_TEMPLATE_NAME_REGEX = /^[A-Za-z0-9][A-Za-z0-9_.-]*\.png$/;
+
+// ASCII-art cells: '#' black, '.' white, '?' don't care (saved as a transparent pixel).
+const TEXT_CELL_COLORS = {
+  "#": Jimp.rgbaToInt(0, 0, 0, 255),
+  ".": Jimp.rgbaToInt(255, 255, 255, 255),
+  "?": Jimp.rgbaToInt(0, 0, 0, 0),
+};
+const MAX_TEXT_TEMPLATE_SIZE = 64; // Cells per side; QRs searched are at most 177 modules wide.
+
+class PatternTemplateService {
+  constructor(templatesDir) {
+    this.templatesDir = templatesDir; // Directory holding the pattern image files.
+  }
+
+  /**
+   * Lists the pattern image files in the templates directory.
+   * @returns {Promise<string[]>} Sorted filenames (empty if the directory can't be read).
+   */
+  async listTemplates() {
+    try {
+      const files = await fs.readdir(this.templatesDir);
+      return files.filter((file) => TEMPLATE_FILE_REGEX.test(file)).sort();
+    } catch (err) {
+      console.error(
+        `[TemplateService] Could not read templates directory '${this.templatesDir}':`,
+        err.message
+      );
+      return [];
+    }
+  }
+
+  /**
+   * Validates image data as a pattern (with the same checks workers use when loading it)
+   * and saves it to the templates directory.
+   * @param {string} fileName - Target filename; must be a simple name ending in .png.
+   * @param {Buffer} buffer - PNG image data.
+   * @param {object} [options]
+   * @param {boolean} [options.overwrite=false] - Replace an existing template of that name.
+   * @returns {Promise<{success: boolean, fileName?: string, error?: string}>}
+   */
+  async saveTemplate(fileName, buffer, { overwrite = false } = {}) {
+    if (typeof fileName !== "string" || !SAFE_TEMPLATE_NAME_REGEX.test(fileName)) {
+      return {
+        success: false,
+        error:
+          "Template name must end in .png and use only letters, digits, '-', '_' and '.'.",
+      };
+    }
+    if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+      return { success: false, error: "No image data received." };
+    }
+
+    const targetPath = path.join(this.templatesDir, fileName);
+    if (!overwrite && (await this._fileExists(targetPath))) {
+      return {
+        success: false,
+        error: `A template named '${fileName}' already exists.`,
+      };
+    }
+
+    const validator = new PatternMatcherService(this.templatesDir);
+    if (!(await validator.loadPatternFromBuffer(buffer, fileName))) {
+      return { success: false, error: validator.lastError };
+    }
+
+    try {
+      await fs.writeFile(targetPath, buffer);
+      console.log(`[TemplateService] Saved template '${fileName}'.`);
+      return { success: true, fileName };
+    } catch (err) {
+      console.error(
+        `[TemplateService] Failed to save template '${fileName}':`,
+        err.message
+      );
+      return { success: false, error: `Could not save template: ${err.message}` };
+    }
+  }
+
+  /**
+   * Renders ASCII-art rows ('#' black, '.' white, '?' don't care) to PNG data.
+   * @param {string[]} rows - One string per pixel row, all the same length.
+   * @returns {Promise<{success: boolean, buffer?: Buffer, error?: string}>}
+   */
+  async renderTextTemplate(rows) {
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return { success: false, error: "The pattern has no rows." };
+    }
+    const width = typeof rows[0] === "string" ? rows[0].length : 0;
+    if (
+      width === 0 ||
+      width > MAX_TEXT_TEMPLATE_SIZE ||
+      rows.length > MAX_TEXT_TEMPLATE_SIZE
+    ) {
+      return {
+        success: false,
+        error: `Patterns must be between 1x1 and ${MAX_TEXT_TEMPLATE_SIZE}x${MAX_TEXT_TEMPLATE_SIZE} cells.`,
+      };
+    }
+
+    const image = new Jimp(width, rows.length);
+    for (let y = 0; y < rows.length; y++) {
+      const row = rows[y];
+      if (typeof row !== "string" || row.length !== width) {
+        return {
+          success: false,
+          error: `Row ${y + 1} is not ${width} cells wide; every row must be the same width.`,
+        };
+      }
+      for (let x = 0; x < width; x++) {
+        const colorInt = TEXT_CELL_COLORS[row[x]];
+        if (colorInt === undefined) {
+          return {
+            success: false,
+            error: `Unexpected character '${row[x]}' at row ${y + 1}, column ${
+              x + 1
+            }. Use '#' (black), '.' (white) or '?' (don't care).`,
+          };
+        }
+        image.setPixelColor(colorInt, x, y);
+      }
+    }
+    return { success: true, buffer: await image.getBufferAsync(Jimp.MIME_PNG) };
+  }
+
+  /**
+   * Renders ASCII-art rows to a PNG and saves it like saveTemplate (same validation).
+   * @param {string} fileName
+   * @param {string[]} rows - See renderTextTemplate.
+   * @param {object} [options] - See saveTemplate.
+   * @returns {Promise<{success: boolean, fileName?: string, error?: string}>}
+   */
+  async saveTextTemplate(fileName, rows, options = {}) {
+    const rendered = await this.renderTextTemplate(rows);
+    if (!rendered.success) return rendered;
+    return this.saveTemplate(fileName, rendered.buffer, options);
+  }
+
+  async _fileExists(filePath) {
+    try {
+      await fs.access(filePath);
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+}
+
+module.exports = PatternTemplateService;
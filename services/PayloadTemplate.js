@@ -0,0 +1,186 @@
+// services/PayloadTemplate.js
+
+// Wi-Fi join strings (ZXing "WIFI:" format): backslash-escape \ ; , : and ".
+function escapeWifi(value) {
+  return value.replace(/([\\;,:"])/g, "\\$1");
+}
+
+// vCard 3.0 text values: escape backslash, comma and semicolon; newlines become "\n".
+function escapeVCardText(value) {
+  return value
+    .replace(/([\\,;])/g, "\\$1")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// mailto: addresses are percent-encoded except for the "@" between local part and domain.
+function encodeMailtoAddress(address) {
+  return encodeURIComponent(address).replace(/%40/g, "@");
+}
+
+// tel: keeps digits and the visual separators RFC 3966 allows; whitespace is dropped and
+// anything else is percent-encoded.
+function encodeTelNumber(number) {
+  return number
+    .replace(/\s+/g, "")
+    .replace(/[^0-9+\-.()]/g, (char) => encodeURIComponent(char));
+}
+
+// Field names each payload type accepts; `required` ones must be present in the spec.
+// Every field value may contain template placeholders (see URLPermutator.compileTemplate).
+const FORMATS = {
+  text: {
+    fields: ["text"],
+    required: ["text"],
+    format: ({ text }) => text,
+  },
+  mailto: {
+    fields: ["to", "subject", "body"],
+    required: ["to"],
+    format: ({ to, subject, body }) => {
+      const query = [];
+      if (subject) query.push(`subject=${encodeURIComponent(subject)}`);
+      if (body) query.push(`body=${encodeURIComponent(body)}`);
+      return `mailto:${encodeMailtoAddress(to)}${query.length ? `?${query.join("&")}` : ""}`;
+    },
+  },
+  tel: {
+    fields: ["number"],
+    required: ["number"],
+    format: ({ number }) => `tel:${encodeTelNumber(number)}`,
+  },
+  wifi: {
+    fields: ["ssid", "password", "security", "hidden"],
+    required: ["ssid"],
+    format: ({ ssid, password, security, hidden }) => {
+      const type = security || (password ? "WPA" : "nopass");
+      let payload = `WIFI:T:${escapeWifi(type)};S:${escapeWifi(ssid)};`;
+      if (password && type !== "nopass") payload += `P:${escapeWifi(password)};`;
+      if (hidden === "true") payload += "H:true;";
+      return `${payload};`;
+    },
+  },
+  vcard: {
+    fields: ["fullName", "org", "title", "tel", "email", "url", "note"],
+    required: ["fullName"],
+    format: ({ fullName, org, title, tel, email, url, note }) => {
+      // N is structured as family;given - take the last word as the family name.
+      const nameParts = fullName.trim().split(/\s+/);
+      const familyName = nameParts.length > 1 ? nameParts.pop() : "";
+      const lines = [
+        "BEGIN:VCARD",
+        "VERSION:3.0",
+        `N:${escapeVCardText(familyName)};${escapeVCardText(nameParts.join(" "))};;;`,
+        `FN:${escapeVCardText(fullName)}`,
+      ];
+      if (org) lines.push(`ORG:${escapeVCardText(org)}`);
+      if (title) lines.push(`TITLE:${escapeVCardText(title)}`);
+      if (tel) lines.push(`TEL:${escapeVCardText(tel)}`);
+      if (email) lines.push(`EMAIL:${escapeVCardText(email)}`);
+      if (url) lines.push(`URL:${escapeVCardText(url)}`);
+      if (note) lines.push(`NOTE:${escapeVCardText(note)}`);
+      lines.push("END:VCARD");
+      return lines.join("\r\n");
+    },
+  },
+};
+
+class PayloadTemplate {
+  /**
+   * A non-URL QR payload (vCard, Wi-Fi, mailto, tel or text) whose fields are URL-style
+   * templates. Each generated field value is escaped for the payload format before it is
+   * assembled, so placeholders can vary e.g. just a Wi-Fi password or an SSID suffix.
+   * Exposes the same interface as a compiled URL template (generate, valueAt, total,
+   * signature), so it can be searched at random or enumerated.
+   * @param {string} type - One of PayloadTemplate.TYPES.
+   * @param {Object<string, object>} fieldTemplates - Field name -> compiled template.
+   */
+  constructor(type, fieldTemplates) {
+    this.payloadType = type;
+    this.format = FORMATS[type].format;
+    this.fieldNames = Object.keys(fieldTemplates);
+    this.fieldTemplates = fieldTemplates;
+    this.placeholderCount = this.fieldNames.reduce(
+      (count, name) => count + fieldTemplates[name].placeholderCount,
+      0
+    );
+    this.total = this.fieldNames.reduce(
+      (product, name) => product * fieldTemplates[name].total,
+      1n
+    );
+    this.signature = `${type}(${this.fieldNames
+      .map((name) => `${name}=${fieldTemplates[name].signature}`)
+      .join(",")})`;
+  }
+
+  /**
+   * Builds a payload template from a config spec such as
+   * `{ type: "wifi", ssid: "CafeGuest", password: "{alphanumeric:10}" }`.
+   * @param {object} spec - `type` plus the format's fields (strings; booleans are stringified).
+   * @param {function(string): object} compileField - Compiles one field's template string.
+   * @returns {PayloadTemplate}
+   * @throws {Error} On an unknown type, unknown field or missing required field.
+   */
+  static fromSpec(spec, compileField) {
+    const { type, ...fields } = spec;
+    const format = FORMATS[type];
+    if (!format) {
+      throw new Error(
+        `Unknown payload type '${type}'. Expected url or one of: ${Object.keys(FORMATS).join(", ")}.`
+      );
+    }
+    const unknownFields = Object.keys(fields).filter(
+      (name) => !format.fields.includes(name)
+    );
+    if (unknownFields.length > 0) {
+      throw new Error(
+        `Unknown ${type} field(s): ${unknownFields.join(", ")}. Expected: ${format.fields.join(", ")}.`
+      );
+    }
+    const missingFields = format.required.filter(
+      (name) => fields[name] === undefined || fields[name] === ""
+    );
+    if (missingFields.length > 0) {
+      throw new Error(`Missing ${type} field(s): ${missingFields.join(", ")}.`);
+    }
+
+    const fieldTemplates = {};
+    for (const [name, value] of Object.entries(fields)) {
+      if (value === undefined || value === null) continue;
+      fieldTemplates[name] = compileField(String(value));
+    }
+    return new PayloadTemplate(type, fieldTemplates);
+  }
+
+  /**
+   * @param {function(): number} [random] - Passed to each field's template.
+   * @returns {string} A payload with every field filled in at random.
+   */
+  generate(random) {
+    const values = {};
+    for (const name of this.fieldNames) {
+      values[name] = this.fieldTemplates[name].generate(random);
+    }
+    return this.format(values);
+  }
+
+  /**
+   * The payload at a position of the combined space (the last field changes fastest).
+   * @param {bigint} index - 0 <= index < total.
+   * @returns {string}
+   */
+  valueAt(index) {
+    const values = {};
+    let remaining = index;
+    for (let i = this.fieldNames.length - 1; i >= 0; i--) {
+      const name = this.fieldNames[i];
+      const template = this.fieldTemplates[name];
+      values[name] = template.valueAt(remaining % template.total);
+      remaining /= template.total;
+    }
+    return this.format(values);
+  }
+}
+
+PayloadTemplate.TYPES = Object.keys(FORMATS);
+
+module.exports = PayloadTemplate;
@@ -1,5 +1,9 @@
 // services/QRCodeService.js
 const qrcode = require("qrcode");
+// Same option defaults and geometry helpers the PNG renderer uses, so bit grids line up
+// pixel-for-pixel with the images from generateQRCodeToJimp.
+const qrRendererUtils = require("qrcode/lib/renderer/utils");
+const QRFunctionPatternLayout = require("./QRFunctionPatternLayout");
 const Jimp = require("jimp");
 const path = require("path");
 const fs = require("fs").promises; // Use promises version of fs
@@ -33,9 +37,30 @@ class QRCodeService {
     options = {},
     fileNamePrefix = "qr"
   ) {
-    await this.ensureUploadsDirExists(); // Make sure dir exists
+    const fileName = QRCodeService.createFileName(fileNamePrefix);
+    return this.generateQRCodeToNamedFile(textToEncode, options, fileName);
+  }
+
+  /**
+   * A unique image filename such as "match_1700000000000_k3j9a1.png".
+   * @param {string} [fileNamePrefix="qr"]
+   * @returns {string}
+   */
+  static createFileName(fileNamePrefix = "qr") {
     const randomSuffix = Math.random().toString(36).substring(2, 8);
-    const fileName = `${fileNamePrefix}_${Date.now()}_${randomSuffix}.png`;
+    return `${fileNamePrefix}_${Date.now()}_${randomSuffix}.png`;
+  }
+
+  /**
+   * Generates a QR code image under an exact filename in the uploads directory
+   * (e.g. to recreate the display image of a stored match).
+   * @param {string} textToEncode - The text/URL to encode.
+   * @param {object} options - qrcode library options.
+   * @param {string} fileName - Filename (without directory) to write.
+   * @returns {Promise<object|null>} Same shape as generateQRCodeToFile, or null on error.
+   */
+  async generateQRCodeToNamedFile(textToEncode, options, fileName) {
+    await this.ensureUploadsDirExists(); // Make sure dir exists
     const filePath = path.join(this.uploadsDir, fileName);
 
     try {
@@ -64,6 +89,21 @@ class QRCodeService {
     }
   }
 
+  /**
+   * Generates a QR code as PNG data, without writing a file.
+   * @param {string} textToEncode
+   * @param {object} options - qrcode library options.
+   * @returns {Promise<Buffer|null>} PNG data or null on error.
+   */
+  async generateQRCodeToBuffer(textToEncode, options = {}) {
+    try {
+      return await qrcode.toBuffer(textToEncode, { ...options, type: "png" });
+    } catch (err) {
+      console.error(`Error generating QR code for text "${textToEncode}" to buffer:`, err);
+      return null;
+    }
+  }
+
   /**
    * Generates QR and returns Jimp image object directly (for searching)
    * @param {string} textToEncode
@@ -84,6 +124,99 @@ class QRCodeService {
       return null; // Expected for some random data that's too long, etc.
     }
   }
+
+  /**
+   * Describes how a QR rendered with `options` maps pixels to modules, so matches can be
+   * placed in QR zones (finder, timing, data, ...).
+   * @param {number} imageWidth - Pixel width of the rendered QR image.
+   * @param {object} options - The qrcode options it was rendered with.
+   * @returns {{layout: QRFunctionPatternLayout, scale: number, margin: number}|null}
+   *   null if the width doesn't correspond to a QR version at that scale and margin.
+   */
+  getQrGeometry(imageWidth, options = {}) {
+    const rendererOptions = qrRendererUtils.getOptions({ ...options });
+    // With a fixed `width` option the scale depends on the symbol size, so try each version.
+    for (let version = 1; version <= 40; version++) {
+      const size = version * 4 + 17;
+      if (qrRendererUtils.getImageWidth(size, rendererOptions) !== imageWidth) {
+        continue;
+      }
+      return {
+        layout: QRFunctionPatternLayout.forVersion(version),
+        scale: qrRendererUtils.getScale(size, rendererOptions),
+        margin: rendererOptions.margin,
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Works out how `textToEncode` would be rendered with `options` without drawing it:
+   * the symbol's size in modules, and the pixels per module and quiet zone of the image.
+   * @param {string} textToEncode
+   * @param {object} options - qrcode library options.
+   * @returns {{size: number, scale: number, margin: number, imageWidth: number}|null}
+   *   null if the QR can't be generated with these options.
+   */
+  getSymbolGeometry(textToEncode, options = {}) {
+    try {
+      const size = qrcode.create(textToEncode, options).modules.size;
+      const rendererOptions = qrRendererUtils.getOptions({ ...options });
+      return {
+        size,
+        scale: qrRendererUtils.getScale(size, rendererOptions),
+        margin: rendererOptions.margin,
+        imageWidth: qrRendererUtils.getImageWidth(size, rendererOptions),
+      };
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Generates a QR and returns it as a bit-packed pixel grid (for fast searching), skipping
+   * the PNG encode/decode round-trip. Pixels line up exactly with generateQRCodeToJimp
+   * for the same options: bit x of rows[y] is 1 where that image has a dark pixel.
+   * Each row is a Uint32Array holding pixels x..x+31 in word x >>> 5, least significant
+   * bit first, with one spare word so 32-bit windows can be read without bounds checks.
+   * @param {string} textToEncode
+   * @param {object} options - qrcode library options (scale, margin, errorCorrectionLevel, ...).
+   * @returns {{width: number, height: number, rows: Uint32Array[], qr: object, geometry: object}|null}
+   *   The grid, the raw qrcode symbol and its geometry (see getQrGeometry), or null on error.
+   */
+  generateQRCodeBitGrid(textToEncode, options = {}) {
+    try {
+      const qr = qrcode.create(textToEncode, options);
+      const rendererOptions = qrRendererUtils.getOptions({ ...options });
+      const size = qr.modules.size;
+      const scale = qrRendererUtils.getScale(size, rendererOptions);
+      const width = qrRendererUtils.getImageWidth(size, rendererOptions);
+      const scaledMargin = rendererOptions.margin * scale;
+      const wordsPerRow = (width >>> 5) + 2;
+
+      const rows = [];
+      for (let y = 0; y < width; y++) {
+        const row = new Uint32Array(wordsPerRow);
+        if (y >= scaledMargin && y < width - scaledMargin) {
+          const moduleRow = Math.floor((y - scaledMargin) / scale) * size;
+          for (let x = scaledMargin; x < width - scaledMargin; x++) {
+            if (qr.modules.data[moduleRow + Math.floor((x - scaledMargin) / scale)]) {
+              row[x >>> 5] |= 1 << (x & 31);
+            }
+          }
+        }
+        rows.push(row);
+      }
+      const geometry = {
+        layout: QRFunctionPatternLayout.forVersion(qr.version),
+        scale,
+        margin: rendererOptions.margin,
+      };
+      return { width, height: width, rows, qr, geometry };
+    } catch (err) {
+      return null; // Expected for some random data that's too long, etc.
+    }
+  }
 }
 
 module.exports = QRCodeService;
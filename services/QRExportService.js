@@ -0,0 +1,277 @@
+// services/QRExportService.js
+const qrcode = require("qrcode");
+const Jimp = require("jimp");
+
+const FORMATS = {
+  svg: { contentType: "image/svg+xml", extension: "svg" },
+  png: { contentType: "image/png", extension: "png" },
+  pdf: { contentType: "application/pdf", extension: "pdf" },
+};
+const HEX_COLOR_REGEX = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i;
+const MAX_MARGIN_MODULES = 20;
+const MAX_PNG_SCALE = 64;
+const MAX_PNG_WIDTH = 4096; // Pixels; keeps a version 40 code at a reasonable size in memory.
+const MIN_SIZE_MM = 5;
+const MAX_SIZE_MM = 1000;
+const POINTS_PER_MM = 72 / 25.4;
+const DEFAULT_EXPORT_OPTIONS = {
+  format: "svg",
+  dark: "#000000",
+  light: "#ffffff",
+  margin: 4,
+  highlight: false,
+  highlightColor: "#d9534f",
+  scale: 24, // PNG pixels per module: a 50 mm wide version 2 code comes out at about 400 DPI.
+  sizeMm: 50, // Printed width (quiet zone included) of SVG and PDF exports.
+};
+
+// "#abc", "abc" or "#aabbcc" -> { hex: "#aabbcc", rgb: [170, 187, 204] }, or null.
+function parseColor(value) {
+  const match = HEX_COLOR_REGEX.exec(String(value).trim());
+  if (!match) return null;
+  const digits =
+    match[1].length === 3 ? match[1].replace(/./g, (digit) => digit + digit) : match[1];
+  const hex = `#${digits.toLowerCase()}`;
+  const rgb = [0, 2, 4].map((offset) => parseInt(digits.substr(offset, 2), 16));
+  return { hex, rgb };
+}
+
+// Trims PDF/SVG coordinates to a few decimals ("12.5", not "12.500000000001").
+function formatNumber(value) {
+  return String(Math.round(value * 1000) / 1000);
+}
+
+// Groups each row's dark modules into horizontal runs {x, y, length}, so vector exports
+// draw one rectangle per run instead of per module.
+function getDarkRuns(modules) {
+  const runs = [];
+  for (let y = 0; y < modules.size; y++) {
+    let x = 0;
+    while (x < modules.size) {
+      if (!modules.get(y, x)) {
+        x++;
+        continue;
+      }
+      const start = x;
+      while (x < modules.size && modules.get(y, x)) x++;
+      runs.push({ x: start, y, length: x - start });
+    }
+  }
+  return runs;
+}
+
+// Renders a match's QR for print: SVG and PDF as vector graphics at a set physical size, and
+// PNG at a chosen resolution, with custom colors and quiet zone and, optionally, the matched
+// motif outlined. Drawn straight from the QR's modules, so the symbol is exactly the one
+// shown on the match card.
+class QRExportService {
+  /**
+   * Checks export options (e.g. from a query string) and fills in defaults.
+   * @param {object} raw - format (svg|png|pdf), dark, light, highlightColor (hex colors),
+   *   margin (quiet zone in modules), highlight (true/"1"), scale (PNG pixels per module)
+   *   and sizeMm (SVG/PDF width). Every field is optional.
+   * @param {object} [defaults] - Overrides DEFAULT_EXPORT_OPTIONS, e.g. the display margin.
+   * @returns {{options: object}|{error: string}}
+   */
+  static normalizeOptions(raw = {}, defaults = {}) {
+    const merged = { ...DEFAULT_EXPORT_OPTIONS, ...defaults };
+    const pick = (key) =>
+      raw[key] === undefined || raw[key] === "" ? merged[key] : raw[key];
+
+    const format = String(pick("format")).toLowerCase();
+    if (!FORMATS[format]) {
+      return { error: `format must be one of: ${Object.keys(FORMATS).join(", ")}.` };
+    }
+    const colors = {};
+    for (const key of ["dark", "light", "highlightColor"]) {
+      colors[key] = parseColor(pick(key));
+      if (!colors[key]) {
+        return { error: `${key} must be a hex color such as #000000.` };
+      }
+    }
+    const margin = Number(pick("margin"));
+    if (!Number.isInteger(margin) || margin < 0 || margin > MAX_MARGIN_MODULES) {
+      return {
+        error: `margin must be a whole number of modules from 0 to ${MAX_MARGIN_MODULES}.`,
+      };
+    }
+    const scale = Number(pick("scale"));
+    if (!Number.isInteger(scale) || scale < 1 || scale > MAX_PNG_SCALE) {
+      return {
+        error: `scale must be a whole number of pixels per module from 1 to ${MAX_PNG_SCALE}.`,
+      };
+    }
+    const sizeMm = Number(pick("sizeMm"));
+    if (!(sizeMm >= MIN_SIZE_MM && sizeMm <= MAX_SIZE_MM)) {
+      return { error: `sizeMm must be between ${MIN_SIZE_MM} and ${MAX_SIZE_MM}.` };
+    }
+    const highlight = pick("highlight");
+    return {
+      options: {
+        format,
+        ...colors,
+        margin,
+        scale,
+        sizeMm,
+        highlight: highlight === true || highlight === "true" || highlight === "1",
+      },
+    };
+  }
+
+  /**
+   * @param {string} textToEncode - The match's content.
+   * @param {object} qrOptions - qrcode options that reproduce the symbol (EC level, mask, version).
+   * @param {Array<{x: number, y: number, width: number, height: number}>} regions - Matched
+   *   motifs in module coordinates (0,0 = top-left module), the reported one first; only
+   *   drawn with options.highlight.
+   * @param {object} options - As returned by normalizeOptions().
+   * @returns {Promise<{buffer: Buffer, contentType: string, extension: string}>}
+   * @throws {Error} If the QR can't be generated or the PNG would be too large.
+   */
+  async render(textToEncode, qrOptions, regions, options) {
+    const { modules } = qrcode.create(textToEncode, qrOptions);
+    const highlightRegions = options.highlight ? regions : [];
+    let buffer;
+    if (options.format === "svg") {
+      buffer = Buffer.from(this.renderSvg(modules, highlightRegions, options));
+    } else if (options.format === "pdf") {
+      buffer = this.renderPdf(modules, highlightRegions, options);
+    } else {
+      buffer = await this.renderPng(modules, highlightRegions, options);
+    }
+    return { buffer, ...FORMATS[options.format] };
+  }
+
+  renderSvg(modules, regions, { dark, light, highlightColor, margin, sizeMm }) {
+    const width = modules.size + margin * 2;
+    const runs = getDarkRuns(modules)
+      .map((run) => `M${run.x + margin} ${run.y + margin}h${run.length}v1h-${run.length}z`)
+      .join("");
+    const strokeWidth = 0.25;
+    const outlines = regions.map(
+      (region, index) =>
+        `<rect x="${formatNumber(region.x + margin + strokeWidth / 2)}" y="${formatNumber(
+          region.y + margin + strokeWidth / 2
+        )}" width="${formatNumber(region.width - strokeWidth)}" height="${formatNumber(
+          region.height - strokeWidth
+        )}" fill="none" stroke="${highlightColor.hex}" stroke-width="${strokeWidth}"${
+          index > 0 ? ' stroke-dasharray="0.5 0.25"' : ""
+        }/>`
+    );
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${sizeMm}mm" height="${sizeMm}mm" ` +
+        `viewBox="0 0 ${width} ${width}" shape-rendering="crispEdges">`,
+      `<rect width="${width}" height="${width}" fill="${light.hex}"/>`,
+      `<path fill="${dark.hex}" d="${runs}"/>`,
+      ...outlines,
+      "</svg>",
+      "",
+    ].join("\n");
+  }
+
+  // A one-page PDF the size of the code, drawn with filled rectangles (no fonts or images).
+  renderPdf(modules, regions, { dark, light, highlightColor, margin, sizeMm }) {
+    const pageSize = sizeMm * POINTS_PER_MM;
+    const moduleSize = pageSize / (modules.size + margin * 2);
+    const color = ({ rgb }) => rgb.map((channel) => formatNumber(channel / 255)).join(" ");
+    // PDF y runs upwards from the bottom of the page.
+    const rect = (x, y, width, height) =>
+      [
+        (x + margin) * moduleSize,
+        pageSize - (y + margin + height) * moduleSize,
+        width * moduleSize,
+        height * moduleSize,
+      ]
+        .map(formatNumber)
+        .join(" ") + " re";
+
+    const lines = [
+      `${color(light)} rg`,
+      `0 0 ${formatNumber(pageSize)} ${formatNumber(pageSize)} re f`,
+      `${color(dark)} rg`,
+      ...getDarkRuns(modules).map((run) => rect(run.x, run.y, run.length, 1)),
+      "f",
+    ];
+    if (regions.length > 0) {
+      const lineWidth = moduleSize / 4;
+      lines.push(`${color(highlightColor)} RG ${formatNumber(lineWidth)} w`);
+      regions.forEach((region, index) => {
+        const inset = 1 / 8; // Half the line width, in modules, so the outline sits inside.
+        lines.push(
+          index > 0
+            ? `[${formatNumber(moduleSize / 2)} ${formatNumber(moduleSize / 4)}] 0 d`
+            : "[] 0 d",
+          `${rect(
+            region.x + inset,
+            region.y + inset,
+            region.width - inset * 2,
+            region.height - inset * 2
+          )} S`
+        );
+      });
+    }
+    const content = lines.join("\n");
+
+    const objects = [
+      "<< /Type /Catalog /Pages 2 0 R >>",
+      "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${formatNumber(pageSize)} ${formatNumber(
+        pageSize
+      )}] /Resources << >> /Contents 4 0 R >>`,
+      `<< /Length ${Buffer.byteLength(content)} >>\nstream\n${content}\nendstream`,
+    ];
+    let pdf = "%PDF-1.4\n";
+    const offsets = objects.map((object, index) => {
+      const offset = Buffer.byteLength(pdf);
+      pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+      return offset;
+    });
+    const xrefOffset = Buffer.byteLength(pdf);
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`).join("");
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+    return Buffer.from(pdf);
+  }
+
+  async renderPng(modules, regions, { dark, light, highlightColor, margin, scale }) {
+    const width = (modules.size + margin * 2) * scale;
+    if (width > MAX_PNG_WIDTH) {
+      throw new Error(
+        `A ${width}px wide PNG is too large (max ${MAX_PNG_WIDTH}px); lower the scale.`
+      );
+    }
+    const toInt = ({ rgb }) => Jimp.rgbaToInt(rgb[0], rgb[1], rgb[2], 255);
+    const image = new Jimp(width, width, toInt(light));
+    const fill = (x, y, w, h, colorInt) => {
+      image.scan(x, y, w, h, (px, py, idx) => {
+        image.bitmap.data.writeUInt32BE(colorInt, idx);
+      });
+    };
+
+    const darkInt = toInt(dark);
+    getDarkRuns(modules).forEach((run) =>
+      fill((run.x + margin) * scale, (run.y + margin) * scale, run.length * scale, scale, darkInt)
+    );
+
+    const highlightInt = toInt(highlightColor);
+    const thickness = Math.max(1, Math.round(scale / 4));
+    regions.forEach((region) => {
+      const left = Math.max((region.x + margin) * scale, 0);
+      const top = Math.max((region.y + margin) * scale, 0);
+      const right = Math.min((region.x + region.width + margin) * scale, width);
+      const bottom = Math.min((region.y + region.height + margin) * scale, width);
+      if (right <= left || bottom <= top) return;
+      fill(left, top, right - left, thickness, highlightInt);
+      fill(left, bottom - thickness, right - left, thickness, highlightInt);
+      fill(left, top, thickness, bottom - top, highlightInt);
+      fill(right - thickness, top, thickness, bottom - top, highlightInt);
+    });
+    return image.getBufferAsync(Jimp.MIME_PNG);
+  }
+}
+
+QRExportService.FORMATS = Object.keys(FORMATS);
+QRExportService.DEFAULT_EXPORT_OPTIONS = DEFAULT_EXPORT_OPTIONS;
+
+module.exports = QRExportService;
@@ -0,0 +1,103 @@
+// services/QRFunctionPatternLayout.js
+const alignmentPattern = require("qrcode/lib/core/alignment-pattern");
+
+// Zone codes stored per module. Everything that isn't a function pattern is data
+// (codewords and error correction), which is the only part that varies between QRs.
+const ZONES = ["data", "finder", "timing", "alignment", "format", "version"];
+const ZONE_CODES = ZONES.reduce((codes, zone, index) => {
+  codes[zone] = index;
+  return codes;
+}, {});
+
+// Layouts are identical for every QR of a given version, so build each one once.
+const layoutCache = new Map();
+
+class QRFunctionPatternLayout {
+  /**
+   * Maps every module of a QR symbol of the given version to the zone it belongs to:
+   * finder patterns (with separators), timing patterns, alignment patterns, format
+   * information (including the dark module), version information, or data.
+   * @param {number} version - QR version (1-40).
+   */
+  constructor(version) {
+    if (!Number.isInteger(version) || version < 1 || version > 40) {
+      throw new RangeError(`Invalid QR version: ${version}`);
+    }
+    this.version = version;
+    this.size = version * 4 + 17;
+    this.zoneCodes = new Uint8Array(this.size * this.size); // All modules start as data.
+    this._markFunctionPatterns();
+  }
+
+  /**
+   * Returns the (cached) layout for a version.
+   * @param {number} version
+   * @returns {QRFunctionPatternLayout}
+   */
+  static forVersion(version) {
+    if (!layoutCache.has(version)) {
+      layoutCache.set(version, new QRFunctionPatternLayout(version));
+    }
+    return layoutCache.get(version);
+  }
+
+  /**
+   * Zone name of the module at (col, row); "quietZone" outside the symbol.
+   * @param {number} col
+   * @param {number} row
+   * @returns {string}
+   */
+  zoneAt(col, row) {
+    if (col < 0 || row < 0 || col >= this.size || row >= this.size) {
+      return "quietZone";
+    }
+    return ZONES[this.zoneCodes[row * this.size + col]];
+  }
+
+  _mark(zone, row, col, rowCount, colCount, overwrite = false) {
+    const code = ZONE_CODES[zone];
+    for (let r = row; r < row + rowCount; r++) {
+      for (let c = col; c < col + colCount; c++) {
+        if (r < 0 || c < 0 || r >= this.size || c >= this.size) continue;
+        const index = r * this.size + c;
+        if (overwrite || this.zoneCodes[index] === ZONE_CODES.data) {
+          this.zoneCodes[index] = code;
+        }
+      }
+    }
+  }
+
+  _markFunctionPatterns() {
+    const size = this.size;
+
+    // Finder patterns (7x7) plus their one-module separators.
+    this._mark("finder", 0, 0, 8, 8);
+    this._mark("finder", 0, size - 8, 8, 8);
+    this._mark("finder", size - 8, 0, 8, 8);
+
+    // Timing patterns run between the finders along row 6 and column 6.
+    this._mark("timing", 6, 8, 1, size - 16);
+    this._mark("timing", 8, 6, size - 16, 1);
+
+    // Alignment patterns (5x5) may sit on the timing lines, and are drawn over them.
+    alignmentPattern.getPositions(this.version).forEach(([row, col]) => {
+      this._mark("alignment", row - 2, col - 2, 5, 5, true);
+    });
+
+    // Format information next to the finders; the dark module at (size - 8, 8) is part of it.
+    this._mark("format", 8, 0, 1, 9);
+    this._mark("format", 0, 8, 9, 1);
+    this._mark("format", 8, size - 8, 1, 8);
+    this._mark("format", size - 8, 8, 8, 1);
+
+    // Version information blocks (6x3) for versions 7 and up.
+    if (this.version >= 7) {
+      this._mark("version", 0, size - 11, 6, 3);
+      this._mark("version", size - 11, 0, 3, 6);
+    }
+  }
+}
+
+QRFunctionPatternLayout.ZONES = ZONES;
+
+module.exports = QRFunctionPatternLayout;
@@ -0,0 +1,73 @@
+// services/RunHistoryService.js
+const path = require("path");
+const fs = require("fs").promises;
+
+class RunHistoryService {
+  /**
+   * Keeps a summary of every finished search (what ran, for how long, what it found and
+   * why it stopped) in a JSON-lines file, one run per line.
+   * @param {string} historyFilePath - Path of the .jsonl file.
+   */
+  constructor(historyFilePath) {
+    this.historyFilePath = historyFilePath;
+    this._pendingWrite = Promise.resolve(); // Appends run one after another, in call order.
+  }
+
+  /**
+   * Reads every stored run summary. Lines that can't be parsed are skipped.
+   * @returns {Promise<object[]>} Runs in the order they finished (oldest first).
+   */
+  async load() {
+    let content;
+    try {
+      content = await fs.readFile(this.historyFilePath, "utf8");
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        console.error(
+          `[RunHistory] Could not read run history '${this.historyFilePath}':`,
+          err.message
+        );
+      }
+      return [];
+    }
+    const runs = [];
+    content.split("\n").forEach((line) => {
+      if (!line.trim()) return;
+      try {
+        runs.push(JSON.parse(line));
+      } catch (err) {
+        // A torn last line after a crash; the other runs are still good.
+      }
+    });
+    return runs;
+  }
+
+  /**
+   * Appends one run summary.
+   * @param {object} run - The summary built when the search stopped.
+   * @returns {Promise<boolean>} True if the summary was written.
+   */
+  append(run) {
+    const write = this._pendingWrite.then(async () => {
+      try {
+        await fs.mkdir(path.dirname(this.historyFilePath), { recursive: true });
+        await fs.appendFile(this.historyFilePath, JSON.stringify(run) + "\n");
+        return true;
+      } catch (err) {
+        console.error(`[RunHistory] Failed to save run '${run.id}':`, err.message);
+        return false;
+      }
+    });
+    this._pendingWrite = write;
+    return write;
+  }
+
+  /**
+   * @returns {Promise<void>} Resolves once every append so far has finished.
+   */
+  async flush() {
+    await this._pendingWrite;
+  }
+}
+
+module.exports = RunHistoryService;
@@ -0,0 +1,245 @@
+// services/SearchWorkerPool.js
+const EventEmitter = require("events");
+const os = require("os");
+const { Worker } = require("worker_threads");
+
+// Workers that die before reporting ready are replaced only this many times in a row: one
+// that can't start (e.g. its pattern fails to load) would otherwise be respawned forever.
+const MAX_STARTUP_FAILURES = 3;
+
+// Default pool size: leave one core for the main thread (URL generation, UI, match handling).
+function getDefaultWorkerCount() {
+  const numCPUs = os.cpus().length;
+  return Math.max(1, numCPUs > 1 ? numCPUs - 1 : 1);
+}
+
+class SearchWorkerPool extends EventEmitter {
+  /**
+   * The qr_worker.js threads of a search, fed from one task queue. Remembers the task each
+   * worker is scanning, so the task of a worker that dies is handed out again, and replaces
+   * workers that exit unexpectedly while running. Emits:
+   *   "result" (the worker's result message, the task it answers) for every scanned task;
+   *   "failed" (an Error) once workers keep dying before they are ready, after which no
+   *     more are replaced. The search should be stopped.
+   * @param {object} options
+   * @param {string} options.workerScript - Path of qr_worker.js.
+   * @param {number} [options.size] - Defaults to one less than the number of CPUs.
+   */
+  constructor({ workerScript, size = getDefaultWorkerCount() }) {
+    super();
+    this.workerScript = workerScript;
+    this.desiredWorkers = Math.max(1, size);
+    this.workerData = null; // Passed to every worker; set by start().
+    this.running = false;
+    this.workers = [];
+    this.idleWorkers = [];
+    this.taskQueue = [];
+    this.inFlightTasks = new Map(); // worker -> task it is currently scanning
+    this.readyCount = 0;
+    this.readyWorkers = new Set(); // Workers that died without ever being in here failed to start.
+    this.startupFailures = 0; // Workers in a row that died before reporting ready.
+    this.lastWorkerError = null;
+  }
+
+  /**
+   * Replaces any workers with `desiredWorkers` fresh ones and starts handing out tasks.
+   * @param {object} workerData - For qr_worker.js (patterns, QR and matcher options).
+   */
+  async start(workerData) {
+    console.log(`Pattern Hunter: Starting search... Terminating any existing workers.`);
+    await this.terminateAll();
+    this.workerData = workerData;
+    this.running = true;
+    this.readyCount = 0;
+    this.startupFailures = 0;
+    this.lastWorkerError = null;
+    this.taskQueue.length = 0;
+    this.inFlightTasks.clear();
+    console.log(`Pattern Hunter: Creating up to ${this.desiredWorkers} new workers.`);
+    for (let i = 0; i < this.desiredWorkers; i++) {
+      this.createWorker();
+    }
+  }
+
+  // Drops queued tasks and terminates the workers; results still in flight are lost.
+  async stop() {
+    this.running = false;
+    this.taskQueue.length = 0;
+    await this.terminateAll();
+    this.inFlightTasks.clear();
+  }
+
+  enqueue(task) {
+    this.taskQueue.push(task);
+  }
+
+  // Hands queued tasks to idle workers.
+  dispatch() {
+    while (this.idleWorkers.length > 0 && this.taskQueue.length > 0 && this.running) {
+      this.postTask(this.idleWorkers.shift(), this.taskQueue.shift());
+    }
+  }
+
+  // Nothing queued and nothing being scanned.
+  isIdle() {
+    return this.taskQueue.length === 0 && this.inFlightTasks.size === 0;
+  }
+
+  // Tasks handed out but not yet answered, scanning first.
+  getPendingTasks() {
+    return [...this.inFlightTasks.values(), ...this.taskQueue];
+  }
+
+  getStatus() {
+    return {
+      alive: this.workers.length,
+      ready: this.readyCount,
+      busy: this.inFlightTasks.size,
+      desired: this.desiredWorkers,
+    };
+  }
+
+  postTask(worker, task) {
+    this.inFlightTasks.set(worker, task);
+    worker.postMessage(task);
+  }
+
+  // A worker that dies mid-task never reports back; put its task back in line so the URL
+  // isn't skipped.
+  requeueInFlightTask(worker) {
+    const task = this.inFlightTasks.get(worker);
+    this.inFlightTasks.delete(worker);
+    if (task && this.running) {
+      this.taskQueue.unshift(task);
+    }
+  }
+
+  createWorker() {
+    if (this.workers.length >= this.desiredWorkers) return null;
+
+    const worker = new Worker(this.workerScript, { workerData: this.workerData });
+    this.workers.push(worker);
+
+    worker.on("message", (message) => this.handleWorkerMessage(message, worker));
+    worker.on("error", (err) => this.handleWorkerError(err, worker));
+    worker.on("exit", (code) => this.handleWorkerExit(code, worker));
+
+    return worker;
+  }
+
+  handleWorkerMessage(message, worker) {
+    if (message.type === "result") {
+      const task = this.inFlightTasks.get(worker);
+      this.inFlightTasks.delete(worker);
+      this.emit("result", message, task);
+      this.assignTask(worker); // A listener may have stopped the pool.
+    } else if (message.type === "ready") {
+      console.log(
+        `Worker ${worker.threadId} (PID: ${worker.pid || "N/A"}) reported ready.`
+      );
+      this.readyCount++;
+      this.readyWorkers.add(worker);
+      this.startupFailures = 0;
+      this.idleWorkers.push(worker);
+      this.assignTask(worker);
+      if (this.readyCount === this.desiredWorkers && this.running) {
+        console.log(
+          "All desired (Pattern Hunter) workers initialized and ready for tasks."
+        );
+      }
+    } else if (message.type === "error") {
+      console.error(
+        `Error from Worker ${worker.threadId} (PID: ${worker.pid || "N/A"}): ${
+          message.message
+        }. Terminating.`
+      );
+      this.lastWorkerError = message.message;
+      this.terminateAndReplace(worker);
+    }
+  }
+
+  handleWorkerError(err, worker) {
+    console.error(
+      `Worker ${worker.threadId} (PID: ${worker.pid || "N/A"}) critical error:`,
+      err,
+      ". Terminating."
+    );
+    this.lastWorkerError = err.message;
+    this.terminateAndReplace(worker);
+  }
+
+  handleWorkerExit(code, worker) {
+    console.log(
+      `Pattern Hunter Worker ${worker.threadId} (PID: ${
+        worker.pid || "N/A"
+      }) exited with code ${code}.`
+    );
+    const wasReady = this.readyWorkers.delete(worker);
+    this.removeWorker(worker);
+    if (!this.running || code === 0) return;
+
+    if (!wasReady && ++this.startupFailures >= MAX_STARTUP_FAILURES) {
+      if (this.startupFailures === MAX_STARTUP_FAILURES) {
+        const reason = this.lastWorkerError || `exit code ${code}`;
+        console.error(
+          `Pattern Hunter: ${MAX_STARTUP_FAILURES} workers in a row exited before they were ready (${reason}). Not replacing them.`
+        );
+        this.emit("failed", new Error(`Workers could not start: ${reason}`));
+      }
+      return;
+    }
+    console.log(
+      "Attempting to replace unexpectedly exited Pattern Hunter worker."
+    );
+    this.createWorker();
+  }
+
+  assignTask(worker) {
+    if (!this.workers.includes(worker)) return;
+
+    if (this.taskQueue.length > 0 && this.running) {
+      this.postTask(worker, this.taskQueue.shift());
+      const idleIndex = this.idleWorkers.indexOf(worker);
+      if (idleIndex > -1) this.idleWorkers.splice(idleIndex, 1);
+    } else if (!this.idleWorkers.includes(worker)) {
+      this.idleWorkers.push(worker);
+    }
+  }
+
+  removeWorker(worker) {
+    const poolIndex = this.workers.indexOf(worker);
+    if (poolIndex > -1) this.workers.splice(poolIndex, 1);
+    const idleIndex = this.idleWorkers.indexOf(worker);
+    if (idleIndex > -1) this.idleWorkers.splice(idleIndex, 1);
+    this.requeueInFlightTask(worker);
+  }
+
+  // The replacement is created by handleWorkerExit once the worker is gone.
+  terminateAndReplace(worker) {
+    this.removeWorker(worker);
+    console.log(`Terminating Pattern Hunter worker ${worker.threadId}...`);
+    worker
+      .terminate()
+      .catch((err) =>
+        console.error(`Error terminating Pattern Hunter worker ${worker.threadId}:`, err)
+      );
+  }
+
+  async terminateAll() {
+    while (this.workers.length > 0) {
+      const oldWorker = this.workers.pop();
+      if (oldWorker) {
+        await oldWorker
+          .terminate()
+          .catch((e) =>
+            console.error(`Error terminating old Pattern Hunter worker: ${e}`)
+          );
+      }
+    }
+    this.idleWorkers.length = 0;
+  }
+}
+
+SearchWorkerPool.getDefaultWorkerCount = getDefaultWorkerCount;
+
+module.exports = SearchWorkerPool;
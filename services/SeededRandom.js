@@ -0,0 +1,62 @@
+// services/SeededRandom.js
+const crypto = require("crypto");
+
+// cyrb128: hashes a string seed into four 32-bit words to initialize the generator state.
+function hashSeed(seed) {
+  let h1 = 1779033703,
+    h2 = 3144134277,
+    h3 = 1013904242,
+    h4 = 2773480762;
+  for (let i = 0; i < seed.length; i++) {
+    const k = seed.charCodeAt(i);
+    h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+    h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+    h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+    h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
+  }
+  h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+  h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+  h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+  h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+  h1 ^= h2 ^ h3 ^ h4;
+  h2 ^= h1;
+  h3 ^= h1;
+  h4 ^= h1;
+  return [h1 >>> 0, h2 >>> 0, h3 >>> 0, h4 >>> 0];
+}
+
+class SeededRandom {
+  /**
+   * Small, fast PRNG (sfc32) whose stream is fully determined by a string seed, for
+   * replaying exactly the same sequence of random URLs.
+   * @param {string} seed - Any string; the same seed always yields the same stream.
+   */
+  constructor(seed) {
+    this.seed = String(seed);
+    [this._a, this._b, this._c, this._d] = hashSeed(this.seed);
+  }
+
+  /**
+   * Next number in the stream; a drop-in replacement for Math.random().
+   * @returns {number} 0 <= n < 1
+   */
+  next() {
+    const t = (((this._a + this._b) | 0) + this._d) | 0;
+    this._d = (this._d + 1) | 0;
+    this._a = this._b ^ (this._b >>> 9);
+    this._b = (this._c + (this._c << 3)) | 0;
+    this._c = (this._c << 21) | (this._c >>> 11);
+    this._c = (this._c + t) | 0;
+    return (t >>> 0) / 4294967296;
+  }
+
+  /**
+   * Generates a short random seed for runs started without one, so they can be replayed too.
+   * @returns {string}
+   */
+  static generateSeed() {
+    return crypto.randomBytes(4).toString("hex");
+  }
+}
+
+module.exports = SeededRandom;
@@ -0,0 +1,183 @@
+// services/URLGeneratorRegistry.js
+const path = require("path");
+
+const URLSpaceEnumerator = require("./URLSpaceEnumerator");
+const URLPermutator = require("./URLPermutator");
+const PayloadTemplate = require("./PayloadTemplate");
+
+const DEFAULT_URL_GENERATOR = "default";
+
+function describeGeneratorSource(source) {
+  if (typeof source === "string") return source;
+  const { type, ...fields } = source;
+  return `${type}: ${Object.entries(fields)
+    .map(([name, value]) => `${name}=${value}`)
+    .join(", ")}`;
+}
+
+class URLGeneratorRegistry {
+  /**
+   * The URL generators a search can pick from: "default" (config.urlTemplate) plus
+   * config.urlGenerators. Each is compiled to a template and, unless config.urlEnumeration.mode
+   * is "random", gets an enumerator that walks its space with its own checkpoint file.
+   * @param {object} config - The application config (config.js).
+   * @param {string} rootDir - Project directory; relative config paths resolve against it.
+   */
+  constructor(config, rootDir) {
+    this.config = config;
+    this.rootDir = rootDir;
+    // name -> { name, source, payloadType, template, enumerator }
+    this.generators = new Map();
+    this.wordLists = {}; // config.templateWordLists, loaded by load().
+  }
+
+  /**
+   * Compiles the generators (config.urlTemplate, config.urlGenerators and `extraGenerators`)
+   * and loads their enumeration checkpoints.
+   * @param {Object<string, string|object>} [extraGenerators] - More generators by name.
+   * @throws {Error} If a template, word list or the urlEnumeration settings are invalid.
+   */
+  async load(extraGenerators = {}) {
+    const templateSources = {
+      [DEFAULT_URL_GENERATOR]: this.config.urlTemplate,
+      ...(this.config.urlGenerators || {}),
+      ...extraGenerators,
+    };
+    try {
+      const permutator = new URLPermutator();
+      this.wordLists = await this.loadWordLists(permutator);
+      for (const [name, source] of Object.entries(templateSources)) {
+        try {
+          const template = this.compileGeneratorTemplate(permutator, source);
+          const payloadType = template.payloadType || "url";
+          const enumerator = this.createEnumerator(template, name);
+          this.generators.set(name, { name, source, payloadType, template, enumerator });
+        } catch (e) {
+          throw new Error(
+            `URL generator '${name}' (${describeGeneratorSource(source)}): ${e.message}`
+          );
+        }
+      }
+    } catch (e) {
+      throw new Error(
+        `Invalid URL template, word list or urlEnumeration settings: ${e.message}`
+      );
+    }
+
+    for (const { name, enumerator } of this.generators.values()) {
+      if (!enumerator) continue;
+      const resumed = await enumerator.loadCheckpoint();
+      console.log(
+        `URL enumeration '${name}' (${enumerator.order}): ${
+          resumed ? "resuming at" : "starting at"
+        } ${enumerator.cursor} of ${enumerator.total} (${(
+          enumerator.coverage() * 100
+        ).toFixed(4)}% covered).`
+      );
+    }
+  }
+
+  has(name) {
+    return this.generators.has(name);
+  }
+
+  // { name, source, payloadType, template, enumerator }, or null for an unknown name.
+  get(name) {
+    return this.generators.get(name) || null;
+  }
+
+  list() {
+    return [...this.generators.values()].map(({ name, source, payloadType }) => ({
+      name,
+      payloadType,
+      template: describeGeneratorSource(source),
+    }));
+  }
+
+  // Loads config.templateWordLists; entries are word arrays or paths to one-word-per-line files.
+  async loadWordLists(permutator) {
+    const wordLists = {};
+    for (const [name, value] of Object.entries(this.config.templateWordLists || {})) {
+      wordLists[name] = Array.isArray(value)
+        ? value
+        : await permutator.loadWordList(path.resolve(this.rootDir, value));
+    }
+    return wordLists;
+  }
+
+  // Compiles a URL template. The legacy randomStringPlaceholder still works and uses
+  // randomStringCharset/randomStringLength; other placeholders follow URLPermutator's grammar.
+  getTemplateCompileOptions() {
+    return {
+      charSets: { RANDOM_STRING: this.config.randomStringCharset },
+      wordLists: this.wordLists,
+      defaultLength: this.config.randomStringLength,
+    };
+  }
+
+  compileUrlTemplate(permutator, templateSource) {
+    let source = templateSource
+      .split(this.config.randomStringPlaceholder)
+      .join("{RANDOM_STRING}");
+    const compileOptions = this.getTemplateCompileOptions();
+    let template = permutator.compileTemplate(source, compileOptions);
+    if (template.placeholderCount === 0) {
+      console.warn(
+        `[URL Generation] No placeholders in URL template '${templateSource}'. Appending random string.`
+      );
+      source += "{RANDOM_STRING}";
+      template = permutator.compileTemplate(source, compileOptions);
+    }
+    return template;
+  }
+
+  // A generator is either a URL template string or a payload spec such as
+  // { type: "wifi", ssid: "Cafe", password: "{alphanumeric:10}" } (see PayloadTemplate).
+  // Payload fields use the same placeholder grammar but may also be constant.
+  compileGeneratorTemplate(permutator, source) {
+    if (typeof source === "string") {
+      return this.compileUrlTemplate(permutator, source);
+    }
+    if (source.type === "url") {
+      return this.compileUrlTemplate(permutator, source.url);
+    }
+    const compileOptions = this.getTemplateCompileOptions();
+    const template = PayloadTemplate.fromSpec(source, (field) =>
+      permutator.compileTemplate(
+        field.split(this.config.randomStringPlaceholder).join("{RANDOM_STRING}"),
+        compileOptions
+      )
+    );
+    if (template.placeholderCount === 0) {
+      throw new Error("No placeholders in any payload field; every QR would be the same.");
+    }
+    return template;
+  }
+
+  // Each generator walks its own space, so each gets its own checkpoint file:
+  // data/enumeration_checkpoint.json for "default", data/enumeration_checkpoint-word.json, etc.
+  getCheckpointFile(generatorName) {
+    const checkpointFile = path.resolve(
+      this.rootDir,
+      this.config.urlEnumeration.checkpointFile
+    );
+    if (generatorName === DEFAULT_URL_GENERATOR) return checkpointFile;
+    const { dir, name, ext } = path.parse(checkpointFile);
+    return path.join(dir, `${name}-${generatorName}${ext}`);
+  }
+
+  createEnumerator(template, generatorName) {
+    const { mode, shuffleKey } = this.config.urlEnumeration;
+    if (mode === "random") return null;
+    return new URLSpaceEnumerator({
+      space: template,
+      order: mode,
+      shuffleKey,
+      checkpointFile: this.getCheckpointFile(generatorName),
+    });
+  }
+}
+
+URLGeneratorRegistry.DEFAULT_URL_GENERATOR = DEFAULT_URL_GENERATOR;
+
+module.exports = URLGeneratorRegistry;
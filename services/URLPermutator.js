@@ -1,6 +1,178 @@
 // services/URLPermutator.js
+const fs = require("fs").promises;
+
+const PLACEHOLDER_REGEX = /\{([^{}]*)\}/g;
+const LENGTH_SPEC_REGEX = /^(\d+)(?:-(\d+))?$/;
+const MAX_PLACEHOLDER_LENGTH = 64;
+const DEFAULT_SYLLABLE_COUNT = { minLength: 2, maxLength: 3 };
+const SYLLABLE_PLACEHOLDERS = ["syllables", "pronounceable"];
+// Shorter names for the presets, as used in templates like "{digits:2-4}".
+const CHARSET_ALIASES = {
+  digits: "numeric",
+  letters: "lowercaseAlpha",
+  lower: "lowercaseAlpha",
+  upper: "uppercaseAlpha",
+};
+
+// "[a-z0-9_]" -> "abc...xyz0123456789_"
+function expandCharClass(classBody) {
+  let chars = "";
+  for (let i = 0; i < classBody.length; i++) {
+    if (classBody[i + 1] === "-" && i + 2 < classBody.length) {
+      const from = classBody.charCodeAt(i);
+      const to = classBody.charCodeAt(i + 2);
+      for (let code = Math.min(from, to); code <= Math.max(from, to); code++) {
+        chars += String.fromCharCode(code);
+      }
+      i += 2;
+    } else {
+      chars += classBody[i];
+    }
+  }
+  return [...new Set(chars)].join("");
+}
+
+function parseLengthSpec(spec, body) {
+  const lengthMatch = LENGTH_SPEC_REGEX.exec(spec);
+  if (!lengthMatch) {
+    throw new Error(
+      `Invalid length '${spec}' in placeholder '{${body}}'. Use N or MIN-MAX.`
+    );
+  }
+  const minLength = parseInt(lengthMatch[1], 10);
+  const maxLength = lengthMatch[2] ? parseInt(lengthMatch[2], 10) : minLength;
+  if (minLength < 1 || maxLength < minLength || maxLength > MAX_PLACEHOLDER_LENGTH) {
+    throw new Error(
+      `Invalid length '${spec}' in placeholder '{${body}}'. Lengths run from 1 to ${MAX_PLACEHOLDER_LENGTH}.`
+    );
+  }
+  return { minLength, maxLength };
+}
+
+// One piece of a compiled template. Every segment can draw a random value and can list
+// its finite set of values by index, which is what lets templates be enumerated.
+class TemplateSegment {
+  static literal(text) {
+    return new TemplateSegment("literal", { choices: [text] });
+  }
+
+  static choice(choices) {
+    return new TemplateSegment("choice", { choices });
+  }
+
+  // `chars` is a string of characters, or an array of multi-character units (syllables)
+  // that are strung together the same way.
+  static charset(chars, minLength, maxLength) {
+    return new TemplateSegment("charset", { chars, minLength, maxLength });
+  }
+
+  constructor(type, { choices = null, chars = "", minLength = 0, maxLength = 0 }) {
+    this.type = type;
+    this.choices = choices;
+    this.chars = chars;
+    this.minLength = minLength;
+    this.maxLength = maxLength;
+    if (type === "charset") {
+      const base = BigInt(chars.length);
+      this.countsByLength = []; // [length, count] pairs, shortest first.
+      for (let length = minLength; length <= maxLength; length++) {
+        this.countsByLength.push([length, base ** BigInt(length)]);
+      }
+      this.count = this.countsByLength.reduce((sum, [, count]) => sum + count, 0n);
+    } else {
+      this.count = BigInt(choices.length);
+    }
+  }
+
+  random(permutator, random) {
+    if (this.type !== "charset") {
+      return this.choices[Math.floor(random() * this.choices.length)];
+    }
+    const length =
+      this.minLength +
+      Math.floor(random() * (this.maxLength - this.minLength + 1));
+    if (typeof this.chars === "string") {
+      return permutator._generateRandomString(length, this.chars, random);
+    }
+    let result = "";
+    for (let i = 0; i < length; i++) {
+      result += this.chars[Math.floor(random() * this.chars.length)];
+    }
+    return result;
+  }
+
+  valueAt(index) {
+    if (this.type !== "charset") return this.choices[Number(index)];
+    let remaining = index;
+    for (const [length, count] of this.countsByLength) {
+      if (remaining < count) {
+        const base = BigInt(this.chars.length);
+        const chars = new Array(length);
+        for (let i = length - 1; i >= 0; i--) {
+          chars[i] = this.chars[Number(remaining % base)];
+          remaining /= base;
+        }
+        return chars.join("");
+      }
+      remaining -= count;
+    }
+    throw new RangeError(`Segment index ${index} out of range.`);
+  }
+
+  describe() {
+    if (this.type === "literal") return JSON.stringify(this.choices[0]);
+    if (this.type === "choice") return `choice(${JSON.stringify(this.choices)})`;
+    return `charset(${JSON.stringify(this.chars)},${this.minLength}-${this.maxLength})`;
+  }
+}
+
+// A parsed URL template: generates random URLs, or the URL at any index of its space.
+class URLTemplate {
+  constructor(source, segments, permutator) {
+    this.source = source;
+    this.segments = segments;
+    this.permutator = permutator;
+    this.placeholderCount = segments.filter((s) => s.type !== "literal").length;
+    this.total = segments.reduce((product, segment) => product * segment.count, 1n);
+    // Identifies the exact space (sources, charsets, lengths, word lists) for checkpoints.
+    this.signature = segments.map((segment) => segment.describe()).join("+");
+  }
+
+  /**
+   * @param {function(): number} [random] - Defaults to the permutator's generator.
+   * @returns {string} A URL with every placeholder filled in at random.
+   */
+  generate(random = this.permutator.random) {
+    return this.segments
+      .map((segment) => segment.random(this.permutator, random))
+      .join("");
+  }
+
+  /**
+   * The URL at a position of the template's space, in odometer order (the last
+   * placeholder changes fastest).
+   * @param {bigint} index - 0 <= index < total.
+   * @returns {string}
+   */
+  valueAt(index) {
+    const parts = new Array(this.segments.length);
+    let remaining = index;
+    for (let i = this.segments.length - 1; i >= 0; i--) {
+      const segment = this.segments[i];
+      parts[i] = segment.valueAt(remaining % segment.count);
+      remaining /= segment.count;
+    }
+    return parts.join("");
+  }
+}
+
 class URLPermutator {
-  constructor() {
+  /**
+   * @param {function(): number} [random=Math.random] - Source of numbers in [0, 1); pass a
+   *   SeededRandom's next() to get a reproducible stream.
+   */
+  constructor(random = Math.random) {
+    this.random = random;
     this.charSets = {
       alphanumeric:
         "abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789",
@@ -11,19 +183,168 @@ class URLPermutator {
       hex: "0123456789abcdefABCDEF",
       custom: "", // Can be set by user
     };
+    // Pronounceable names are strings of consonant-vowel syllables ("ba", "ko", "ri", ...).
+    this.syllableParts = {
+      consonants: "bdfghjklmnprstvz",
+      vowels: "aeiou",
+    };
+  }
+
+  /**
+   * Reads a word list: one word per line; blank lines and lines starting with '#' are skipped.
+   * @param {string} filePath
+   * @returns {Promise<string[]>} Distinct words, in file order.
+   * @throws {Error} If the file can't be read.
+   */
+  async loadWordList(filePath) {
+    const content = await fs.readFile(filePath, "utf8");
+    const words = content
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter((line) => line && !line.startsWith("#"));
+    return [...new Set(words)];
+  }
+
+  _syllables() {
+    const { consonants, vowels } = this.syllableParts;
+    const syllables = [];
+    for (const consonant of consonants) {
+      for (const vowel of vowels) syllables.push(consonant + vowel);
+    }
+    return syllables;
+  }
+
+  /**
+   * Parses a URL template with any number of placeholders:
+   * - `{digits:2-4}`, `{alpha:6}`, `{hex}` - a charset preset (or alias: digits, letters,
+   *   lower, upper) with a fixed or MIN-MAX length (default: options.defaultLength).
+   * - `{[a-z0-9]:3-5}` - a bracketed character class, ranges allowed.
+   * - `{word}`, `{word:3-6}` - a word from options.wordLists, optionally limited by length.
+   *   Word pairs are just two placeholders: `{word}{word}`.
+   * - `{syllables}`, `{syllables:2-4}` (or `pronounceable`) - a pronounceable name made of
+   *   that many consonant-vowel syllables (default 2-3).
+   * - `{com|io|net}`, `{tld:com|io|net}` - one of the literal alternatives (the name is a label).
+   * Everything outside braces is copied as-is.
+   * @param {string} template - e.g. "https://{word}{digits:2-4}.{tld:com|io|net}"
+   * @param {object} [options]
+   * @param {Object<string, string>} [options.charSets] - Extra named charsets for this template.
+   * @param {Object<string, string[]>} [options.wordLists] - Named word lists.
+   * @param {number} [options.defaultLength=8] - Length of charset placeholders without one.
+   * @returns {URLTemplate}
+   * @throws {Error} If a placeholder is malformed or names an unknown charset/word list.
+   */
+  compileTemplate(template, { charSets = {}, wordLists = {}, defaultLength = 8 } = {}) {
+    const segments = [];
+    let lastIndex = 0;
+    for (const placeholder of template.matchAll(PLACEHOLDER_REGEX)) {
+      if (placeholder.index > lastIndex) {
+        segments.push(
+          TemplateSegment.literal(template.slice(lastIndex, placeholder.index))
+        );
+      }
+      segments.push(
+        this._compilePlaceholder(placeholder[1], { charSets, wordLists, defaultLength })
+      );
+      lastIndex = placeholder.index + placeholder[0].length;
+    }
+    if (lastIndex < template.length) {
+      segments.push(TemplateSegment.literal(template.slice(lastIndex)));
+    }
+    return new URLTemplate(template, segments, this);
+  }
+
+  _compilePlaceholder(body, { charSets, wordLists, defaultLength }) {
+    // Character classes may contain ':' or '|', so split them off before anything else.
+    let name = body;
+    let spec = null;
+    if (body.startsWith("[")) {
+      const classEnd = body.indexOf("]", 1);
+      if (classEnd < 0) {
+        throw new Error(`Unclosed character class in placeholder '{${body}}'.`);
+      }
+      name = body.slice(0, classEnd + 1);
+      const rest = body.slice(classEnd + 1);
+      if (rest && !rest.startsWith(":")) {
+        throw new Error(`Unexpected '${rest}' after character class in '{${body}}'.`);
+      }
+      spec = rest ? rest.slice(1) : null;
+    } else {
+      const colon = body.indexOf(":");
+      if (colon >= 0) {
+        name = body.slice(0, colon);
+        spec = body.slice(colon + 1);
+      }
+    }
+
+    if (spec !== null && spec.includes("|")) {
+      return TemplateSegment.choice(spec.split("|"));
+    }
+    if (spec === null && name.includes("|")) {
+      return TemplateSegment.choice(name.split("|"));
+    }
+    if (!name) {
+      throw new Error(`Empty placeholder '{${body}}'.`);
+    }
+
+    if (SYLLABLE_PLACEHOLDERS.includes(name)) {
+      const counts = spec !== null ? parseLengthSpec(spec, body) : DEFAULT_SYLLABLE_COUNT;
+      return TemplateSegment.charset(this._syllables(), counts.minLength, counts.maxLength);
+    }
+
+    const lengths =
+      spec !== null
+        ? parseLengthSpec(spec, body)
+        : { minLength: defaultLength, maxLength: defaultLength };
+
+    if (Object.prototype.hasOwnProperty.call(wordLists, name)) {
+      const words =
+        spec === null
+          ? wordLists[name]
+          : wordLists[name].filter(
+              (word) =>
+                word.length >= lengths.minLength && word.length <= lengths.maxLength
+            );
+      if (words.length === 0) {
+        throw new Error(`Word list '${name}' has no words for placeholder '{${body}}'.`);
+      }
+      return TemplateSegment.choice([...new Set(words)]);
+    }
+
+    let chars;
+    if (name.startsWith("[")) {
+      chars = expandCharClass(name.slice(1, -1));
+    } else if (Object.prototype.hasOwnProperty.call(charSets, name)) {
+      chars = charSets[name];
+    } else {
+      chars = this.charSets[CHARSET_ALIASES[name] || name];
+    }
+    if (chars === undefined) {
+      throw new Error(
+        `Unknown placeholder '{${body}}'. Use a charset (${[
+          ...Object.keys(this.charSets),
+          ...Object.keys(CHARSET_ALIASES),
+        ].join(", ")}), a [character class], a word list, syllables or a|b|c alternatives.`
+      );
+    }
+    chars = [...new Set(chars)].join("");
+    if (chars.length === 0) {
+      throw new Error(`Charset for placeholder '{${body}}' is empty.`);
+    }
+    return TemplateSegment.charset(chars, lengths.minLength, lengths.maxLength);
   }
 
   /**
    * Generates random strings of a given length from a character set.
    * @param {number} length - The desired length of the string.
    * @param {string} charSet - The characters to choose from.
+   * @param {function(): number} [random=this.random] - Source of numbers in [0, 1).
    * @returns {string} A random string.
    */
-  _generateRandomString(length, charSet) {
+  _generateRandomString(length, charSet, random = this.random) {
     let result = "";
     const charactersLength = charSet.length;
     for (let i = 0; i < length; i++) {
-      result += charSet.charAt(Math.floor(Math.random() * charactersLength));
+      result += charSet.charAt(Math.floor(random() * charactersLength));
     }
     return result;
   }
@@ -70,7 +391,7 @@ class URLPermutator {
 
     while (urls.size < count && attempts < maxAttempts) {
       const currentLength =
-        minLength + Math.floor(Math.random() * (maxLength - minLength + 1));
+        minLength + Math.floor(this.random() * (maxLength - minLength + 1));
       const variablePart = this._generateRandomString(
         currentLength,
         charSetToUse
@@ -0,0 +1,194 @@
+// services/URLSpaceEnumerator.js
+const path = require("path");
+const fs = require("fs").promises;
+const crypto = require("crypto");
+
+const ORDERS = ["sequential", "shuffled"];
+const FEISTEL_ROUNDS = 4;
+const COVERAGE_SCALE = 10n ** 15n; // Keeps the scaled fraction below Number.MAX_SAFE_INTEGER.
+
+function bitLength(value) {
+  return value > 0n ? value.toString(2).length : 0;
+}
+
+class URLSpaceEnumerator {
+  /**
+   * Walks every value of a finite space (such as a compiled URL template) exactly once,
+   * either in index order or in a keyed shuffled order. Positions in the walk are BigInt
+   * indexes from 0 to total - 1, so the cursor can be saved and the walk resumed.
+   * @param {object} options
+   * @param {{total: bigint, valueAt: function(bigint): string, signature: string}} options.space
+   *   - The values to enumerate; `signature` identifies the space in checkpoints.
+   * @param {string} [options.order="sequential"] - "sequential" or "shuffled".
+   * @param {string} [options.shuffleKey=""] - Selects one of the shuffled orders.
+   * @param {string} [options.checkpointFile] - Where the cursor is saved between runs.
+   */
+  constructor({ space, order = "sequential", shuffleKey = "", checkpointFile }) {
+    if (!ORDERS.includes(order)) {
+      throw new RangeError(
+        `Invalid enumeration order '${order}'. Expected one of: ${ORDERS.join(", ")}.`
+      );
+    }
+    if (!space || typeof space.total !== "bigint" || space.total < 1n) {
+      throw new RangeError("Enumeration space is empty.");
+    }
+    this.space = space;
+    this.order = order;
+    this.shuffleKey = String(shuffleKey);
+    this.checkpointFile = checkpointFile || null;
+    this.total = space.total;
+    this.cursor = 0n; // Index of the next value to hand out.
+
+    // The shuffle is a Feistel network over the smallest even-bit-width power of two that
+    // holds every index; indexes that land outside the space are re-encrypted until they
+    // fall inside it ("cycle walking"), which keeps the mapping a bijection.
+    const bits = Math.max(2, bitLength(this.total - 1n));
+    this._halfBits = BigInt(Math.ceil(bits / 2));
+    this._halfMask = (1n << this._halfBits) - 1n;
+    if (this._halfBits > 256n) {
+      throw new RangeError("Enumeration space is too large to shuffle.");
+    }
+  }
+
+  hasNext() {
+    return this.cursor < this.total;
+  }
+
+  /**
+   * Returns the next value in the walk and advances the cursor.
+   * @returns {{index: bigint, value: string}|null} Null once the space is exhausted.
+   */
+  next() {
+    if (!this.hasNext()) return null;
+    const index = this.cursor;
+    this.cursor++;
+    return { index, value: this.valueAt(index) };
+  }
+
+  /**
+   * The value at a position of the walk.
+   * @param {bigint} index - 0 <= index < total.
+   * @returns {string}
+   */
+  valueAt(index) {
+    return this.space.valueAt(
+      this.order === "shuffled" ? this._permute(index) : index
+    );
+  }
+
+  /**
+   * Fraction of the space before `index` (e.g. the cursor, or the oldest unfinished task).
+   * @param {bigint} [index=this.cursor]
+   * @returns {number} 0..1
+   */
+  coverage(index = this.cursor) {
+    // Scale before dividing so tiny fractions of huge spaces don't round to 0.
+    return Number((index * COVERAGE_SCALE) / this.total) / Number(COVERAGE_SCALE);
+  }
+
+  /**
+   * Moves the cursor back (e.g. to re-issue tasks that were queued but never scanned).
+   * @param {bigint} index
+   */
+  rewindTo(index) {
+    if (index < this.cursor) this.cursor = index < 0n ? 0n : index;
+  }
+
+  /**
+   * Restores the cursor saved by saveCheckpoint, if the checkpoint was written for the
+   * same space, order and shuffle key. Otherwise the walk starts from 0.
+   * @returns {Promise<boolean>} True if a matching checkpoint was restored.
+   */
+  async loadCheckpoint() {
+    if (!this.checkpointFile) return false;
+    let checkpoint;
+    try {
+      checkpoint = JSON.parse(await fs.readFile(this.checkpointFile, "utf8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        console.error(
+          `[Enumerator] Could not read checkpoint '${this.checkpointFile}':`,
+          err.message
+        );
+      }
+      return false;
+    }
+
+    const sameSpace =
+      checkpoint.space === this.space.signature &&
+      checkpoint.order === this.order &&
+      checkpoint.shuffleKey === this.shuffleKey;
+    if (!sameSpace) {
+      console.warn(
+        "[Enumerator] Checkpoint was written for a different URL template, order or shuffle key. Starting from the beginning."
+      );
+      return false;
+    }
+    const cursor = BigInt(checkpoint.cursor);
+    this.cursor = cursor > this.total ? this.total : cursor;
+    return true;
+  }
+
+  /**
+   * Saves a cursor so a later run resumes from it.
+   * @param {bigint} [cursor=this.cursor] - Pass the oldest unfinished index to avoid
+   *   skipping values that were handed out but not yet scanned.
+   * @returns {Promise<boolean>} True if the checkpoint was written.
+   */
+  async saveCheckpoint(cursor = this.cursor) {
+    if (!this.checkpointFile) return false;
+    const checkpoint = {
+      space: this.space.signature,
+      order: this.order,
+      shuffleKey: this.shuffleKey,
+      cursor: cursor.toString(), // BigInt isn't JSON-serializable.
+      total: this.total.toString(),
+      updatedAt: new Date().toISOString(),
+    };
+    try {
+      await fs.mkdir(path.dirname(this.checkpointFile), { recursive: true });
+      // Write-then-rename so a crash mid-write can't leave a truncated checkpoint.
+      const tempFile = `${this.checkpointFile}.tmp`;
+      await fs.writeFile(tempFile, JSON.stringify(checkpoint, null, 2));
+      await fs.rename(tempFile, this.checkpointFile);
+      return true;
+    } catch (err) {
+      console.error(
+        `[Enumerator] Failed to save checkpoint '${this.checkpointFile}':`,
+        err.message
+      );
+      return false;
+    }
+  }
+
+  _permute(index) {
+    let value = index;
+    do {
+      value = this._feistel(value);
+    } while (value >= this.total);
+    return value;
+  }
+
+  _feistel(value) {
+    let left = value >> this._halfBits;
+    let right = value & this._halfMask;
+    for (let round = 0; round < FEISTEL_ROUNDS; round++) {
+      const nextRight = left ^ this._roundFunction(round, right);
+      left = right;
+      right = nextRight;
+    }
+    return (left << this._halfBits) | right;
+  }
+
+  _roundFunction(round, half) {
+    const digest = crypto
+      .createHash("sha256")
+      .update(`${this.shuffleKey}:${round}:${half}`)
+      .digest("hex");
+    return BigInt(`0x${digest}`) & this._halfMask;
+  }
+}
+
+URLSpaceEnumerator.ORDERS = ORDERS;
+
+module.exports = URLSpaceEnumerator;
@@ -0,0 +1,136 @@
+// test/MatchCollectionService.test.js
+const { test } = require("node:test");
+const assert = require("node:assert");
+const AdmZip = require("adm-zip");
+
+const MatchCollectionService = require("../services/MatchCollectionService");
+
+function createMatch(overrides = {}) {
+  return {
+    id: "match_1_abcde",
+    url: "http://www.bluefox.com",
+    payloadType: "url",
+    qrImageUrl: "/uploads/match_1.png",
+    pattern: "plus_3x3.png",
+    location: { x: 9, y: 19 },
+    size: { width: 3, height: 3 },
+    orientation: "rot0",
+    mismatches: 0,
+    similarity: 1,
+    zone: "data",
+    qrOptions: { errorCorrectionLevel: "H", maskPattern: 5, version: 2 },
+    occurrences: [{ x: 9, y: 19, width: 3, height: 3, orientation: "rot0", mismatches: 0 }],
+    occurrenceCount: 1,
+    foundAt: "2024-05-01T12:00:00.000Z",
+    generator: "default",
+    runId: "run_1_xyz",
+    seed: "4fce5823",
+    streamIndex: 12,
+    availability: { status: "available", domain: "bluefox.com" },
+    verification: { status: "verified", problems: [] },
+    score: { total: 64, factors: [] },
+    ...overrides,
+  };
+}
+
+const matches = [createMatch(), createMatch({ id: "match_2_fghij", url: "WIFI:S:Cafe;;" })];
+const fakePng = (match) => Promise.resolve(Buffer.from(`png of ${match.id}`));
+
+test("a JSON collection reads back the same matches", () => {
+  const service = new MatchCollectionService(fakePng);
+  const collection = service.toCollection(matches, { filters: { pattern: "plus_3x3.png" } });
+  assert.strictEqual(collection.format, "qr-pattern-hunter-matches");
+  assert.strictEqual(collection.count, 2);
+  assert.deepStrictEqual(collection.filters, { pattern: "plus_3x3.png" });
+
+  const parsed = service.parse(Buffer.from(JSON.stringify(collection)));
+  assert.deepStrictEqual(parsed.matches, matches);
+});
+
+test("a bare JSON array of matches can be read too", () => {
+  const service = new MatchCollectionService(fakePng);
+  assert.deepStrictEqual(service.parse(Buffer.from(JSON.stringify(matches))).matches, matches);
+});
+
+test("a zip bundle reads back the same matches, with their image entries", async () => {
+  const service = new MatchCollectionService((match) =>
+    match.id === "match_2_fghij" ? Promise.resolve(null) : fakePng(match)
+  );
+  const bundle = await service.toZip(matches);
+
+  const zip = new AdmZip(bundle);
+  assert.strictEqual(
+    zip.getEntry("images/match_1_abcde.png").getData().toString(),
+    "png of match_1_abcde"
+  );
+  assert.strictEqual(zip.getEntry("images/match_2_fghij.png"), null);
+
+  const parsed = service.parse(bundle);
+  assert.deepStrictEqual(parsed.matches, [
+    { ...matches[0], image: "images/match_1_abcde.png" },
+    matches[1], // No image could be rendered, so it has no entry.
+  ]);
+});
+
+test("data that isn't a collection is rejected", () => {
+  const service = new MatchCollectionService(fakePng);
+  assert.throws(() => service.parse(Buffer.from("not json")), /Expected a zip bundle/);
+  assert.throws(() => service.parse(Buffer.from('{"count": 1}')), /Expected a list of matches/);
+
+  const zip = new AdmZip();
+  zip.addFile("other.json", Buffer.from("[]"));
+  assert.throws(() => service.parse(zip.toBuffer()), /has no manifest.json/);
+  const badManifest = new AdmZip();
+  badManifest.addFile("manifest.json", Buffer.from("{"));
+  assert.throws(() => service.parse(badManifest.toBuffer()), /manifest.json is not valid JSON/);
+});
+
+test("CSV has one row per match with nested fields flattened", () => {
+  const service = new MatchCollectionService(fakePng);
+  const lines = service.toCsv([createMatch()]).split("\r\n");
+  assert.strictEqual(lines.length, 3); // Header, one row, trailing line break.
+  assert.strictEqual(lines[2], "");
+  const header = lines[0].split(",");
+  const row = lines[1].split(",");
+  const field = (name) => row[header.indexOf(name)];
+  assert.strictEqual(field("x"), "9");
+  assert.strictEqual(field("maskPattern"), "5");
+  assert.strictEqual(field("domain"), "bluefox.com");
+  assert.strictEqual(field("verification"), "verified");
+  assert.strictEqual(field("score"), "64");
+});
+
+test("CSV quotes special characters and neutralizes formulas", () => {
+  const service = new MatchCollectionService(fakePng);
+  const csv = service.toCsv([
+    createMatch({ url: '=HYPERLINK("http://evil.example","click")', generator: "a,b" }),
+    createMatch({ url: "@SUM(A1)", generator: "-1", mismatches: -1 }),
+  ]);
+  const [, first, second] = csv.split("\r\n");
+  assert.ok(first.includes(`"'=HYPERLINK(""http://evil.example"",""click"")"`), first);
+  assert.ok(first.includes('"a,b"'), first);
+  assert.ok(second.includes("'@SUM(A1)"), second);
+  assert.ok(second.includes(",'-1,"), second); // Text is escaped...
+  assert.ok(second.includes(",-1,"), second); // ...numbers are not.
+});
+
+// Rewrites the uncompressed size of every entry in both the local and the central headers.
+function withClaimedSize(zipBuffer, size) {
+  const forged = Buffer.from(zipBuffer);
+  for (let offset = 0; offset < forged.length - 4; offset++) {
+    const signature = forged.readUInt32LE(offset);
+    if (signature === 0x04034b50) forged.writeUInt32LE(size, offset + 22);
+    if (signature === 0x02014b50) forged.writeUInt32LE(size, offset + 24);
+  }
+  return forged;
+}
+
+test("a zip entry that inflates to more than its header claims is rejected", () => {
+  const service = new MatchCollectionService(fakePng);
+  const zip = new AdmZip();
+  zip.addFile("manifest.json", Buffer.from(JSON.stringify(Array(1000).fill(createMatch()))));
+  const bundle = zip.toBuffer();
+  assert.strictEqual(service.parse(bundle).matches.length, 1000);
+  assert.throws(() => service.parse(withClaimedSize(bundle, 100)), /not the size/);
+  assert.throws(() => service.parse(withClaimedSize(bundle, 0)), /not the size/);
+});
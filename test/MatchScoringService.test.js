@@ -0,0 +1,107 @@
+// test/MatchScoringService.test.js
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+const MatchScoringService = require("../services/MatchScoringService");
+
+const WEIGHTS = {
+  domainLength: 20,
+  dictionary: 25,
+  dataArea: 20,
+  occurrences: 10,
+  orientation: 10,
+  distance: 15,
+};
+
+function createScorer(options = {}) {
+  return new MatchScoringService({ weights: WEIGHTS, words: ["blue", "fox", "river"], ...options });
+}
+
+function createMatch(overrides = {}) {
+  return {
+    url: "http://www.bluefox.com",
+    payloadType: "url",
+    zone: "data",
+    orientation: "rot0",
+    mismatches: 0,
+    similarity: 1,
+    occurrenceCount: 1,
+    ...overrides,
+  };
+}
+
+function factor(score, name) {
+  return score.factors.find((f) => f.name === name);
+}
+
+test("factors are rated from 0 to 1 and weighted", () => {
+  const score = createScorer().score(createMatch());
+  // "bluefox": 7 characters, fully covered by "blue" + "fox".
+  assert.strictEqual(factor(score, "domainLength").value, 13 / 17);
+  assert.strictEqual(factor(score, "dictionary").value, 1);
+  assert.strictEqual(factor(score, "dataArea").value, 1);
+  assert.strictEqual(factor(score, "orientation").value, 1);
+  assert.strictEqual(factor(score, "distance").value, 1);
+  assert.strictEqual(factor(score, "distance").points, 15);
+  // Occurrences don't apply in "first" mode, so the other 90 points are scaled to 100.
+  const expected = ((13 / 17) * 20 + 25 + 20 + 10 + 15) / 90;
+  assert.strictEqual(score.total, Math.round(expected * 100));
+});
+
+test("the occurrences factor only counts when every hit is searched for", () => {
+  const match = createMatch({ occurrenceCount: 3 });
+  const first = factor(createScorer().score(match), "occurrences");
+  assert.strictEqual(first.value, null);
+  assert.strictEqual(first.points, null);
+
+  const all = createScorer({ occurrenceMode: "all" });
+  assert.strictEqual(factor(all.score(match), "occurrences").value, 2 / 3);
+  assert.strictEqual(factor(all.score(createMatch()), "occurrences").value, 0);
+  const manyHits = all.score(createMatch({ occurrenceCount: 9 }));
+  assert.strictEqual(factor(manyHits, "occurrences").value, 1); // Capped at 3 extra hits.
+});
+
+test("the dictionary factor finds the best split into words", () => {
+  const scorer = createScorer();
+  const rate = (url) => factor(scorer.score(createMatch({ url })), "dictionary").value;
+  assert.strictEqual(rate("http://bluefox1.com"), 7 / 8);
+  assert.strictEqual(rate("http://riverblue.io"), 1);
+  assert.strictEqual(rate("http://xqzt.com"), 0);
+  assert.strictEqual(rate("http://www.fo.com"), 0); // Shorter than minWordLength.
+});
+
+test("URL factors don't apply to other payloads or hosts without a TLD", () => {
+  const scorer = createScorer();
+  for (const match of [
+    createMatch({ url: "WIFI:S:Cafe;T:WPA;P:secret;;", payloadType: "wifi" }),
+    createMatch({ url: "http://localhost/" }),
+    createMatch({ url: "not a url" }),
+  ]) {
+    const score = scorer.score(match);
+    assert.strictEqual(factor(score, "domainLength").value, null, match.url);
+    assert.strictEqual(factor(score, "dictionary").value, null, match.url);
+  }
+});
+
+test("zones, orientations and fuzzy hits lower the score", () => {
+  const scorer = createScorer();
+  const rate = (overrides, name) => factor(scorer.score(createMatch(overrides)), name).value;
+  assert.strictEqual(rate({ zone: "mixed" }, "dataArea"), 0.5);
+  assert.strictEqual(rate({ zone: "finder" }, "dataArea"), 0);
+  assert.strictEqual(rate({ zone: null }, "dataArea"), null);
+  assert.strictEqual(rate({ orientation: "rot90" }, "orientation"), 0.75);
+  assert.strictEqual(rate({ orientation: "mirror-rot0" }, "orientation"), 0.5);
+  assert.strictEqual(rate({ mismatches: 2, similarity: 0.8 }, "distance"), 0.8);
+});
+
+test("factors with no weight are left out of the total", () => {
+  const scorer = createScorer({ weights: { dataArea: 1 } });
+  assert.strictEqual(scorer.score(createMatch({ zone: "mixed" })).total, 50);
+  assert.strictEqual(factor(scorer.score(createMatch()), "dictionary").weight, 0);
+  assert.strictEqual(createScorer({ weights: {} }).score(createMatch()).total, 0);
+});
+
+test("scores are the same every time", () => {
+  const match = createMatch({ url: "http://www.stonebluefox42.net", zone: "mixed" });
+  assert.deepStrictEqual(createScorer().score(match), createScorer().score(match));
+});
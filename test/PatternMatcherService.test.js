@@ -0,0 +1,102 @@
+// test/PatternMatcherService.test.js
+const { test } = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const Jimp = require("jimp");
+
+const PatternMatcherService = require("../services/PatternMatcherService");
+const QRCodeService = require("../services/QRCodeService");
+
+const TEMPLATES_DIR = path.join(__dirname, "..", "templates");
+// Only renders in memory; nothing is written to the uploads directory.
+const qrCodeService = new QRCodeService(path.join(__dirname, "..", "uploads"));
+
+const CHARSET = "abcdefghijklmnopqrstuvwxyz0123456789";
+
+// A fixed set of URLs (from a small LCG), so every run searches the same QRs.
+function sampleUrls(count) {
+  let state = 12345;
+  const nextChar = () => {
+    state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+    return CHARSET[(state >>> 16) % CHARSET.length];
+  };
+  return Array.from(
+    { length: count },
+    () => `http://www.${Array.from({ length: 8 }, nextChar).join("")}.com`
+  );
+}
+
+async function loadMatcher(patternFile, options) {
+  const matcher = new PatternMatcherService(TEMPLATES_DIR, options);
+  assert.ok(await matcher.loadPattern(patternFile), matcher.lastError);
+  return matcher;
+}
+
+// Searches each URL's QR both ways: the PNG decoded with Jimp, and the bit grid.
+async function compareSearchPaths(matcher, qrOptions, urls) {
+  let hits = 0;
+  for (const url of urls) {
+    const qrImage = await qrCodeService.generateQRCodeToJimp(url, qrOptions);
+    const geometry = qrCodeService.getQrGeometry(qrImage.bitmap.width, qrOptions);
+    const fromImage = matcher.findPatternInQr(qrImage, false, geometry);
+    const fromBitGrid = matcher.findPatternInBitGrid(
+      qrCodeService.generateQRCodeBitGrid(url, qrOptions)
+    );
+    assert.deepStrictEqual(fromBitGrid, fromImage, `results differ for ${url}`);
+    if (fromImage) hits++;
+  }
+  return hits;
+}
+
+test("the bit grid has a dark pixel exactly where the PNG does", async () => {
+  const qrOptions = { scale: 2, margin: 1, errorCorrectionLevel: "M" };
+  const [url] = sampleUrls(1);
+  const qrImage = await qrCodeService.generateQRCodeToJimp(url, qrOptions);
+  const bitGrid = qrCodeService.generateQRCodeBitGrid(url, qrOptions);
+  assert.strictEqual(bitGrid.width, qrImage.bitmap.width);
+  for (let y = 0; y < bitGrid.height; y++) {
+    for (let x = 0; x < bitGrid.width; x++) {
+      const dark = (qrImage.getPixelColor(x, y) >>> 8) === 0;
+      const bit = (bitGrid.rows[y][x >>> 5] >>> (x & 31)) & 1;
+      assert.strictEqual(bit === 1, dark, `pixel (${x}, ${y})`);
+    }
+  }
+});
+
+test("bit grid and Jimp searches agree on exact first hits", async () => {
+  const matcher = await loadMatcher("plus_3x3.png");
+  const qrOptions = { scale: 1, margin: 0, errorCorrectionLevel: "H" };
+  const hits = await compareSearchPaths(matcher, qrOptions, sampleUrls(30));
+  assert.ok(hits > 0, "the sample should contain matches");
+});
+
+test("bit grid and Jimp searches agree on every orientation and occurrence", async () => {
+  const matcher = await loadMatcher("C_4x5.png", {
+    matchAllOrientations: true,
+    maxMismatches: 2,
+    occurrenceMode: "all",
+  });
+  const qrOptions = { scale: 1, margin: 0, errorCorrectionLevel: "L" };
+  const hits = await compareSearchPaths(matcher, qrOptions, sampleUrls(20));
+  assert.ok(hits > 0, "the sample should contain matches");
+});
+
+test("bit grid and Jimp searches agree on region filters and scaled renders", async () => {
+  const matcher = await loadMatcher("square_4x4.png", {
+    occurrenceMode: "nonOverlapping",
+    regionMode: "dataOnly",
+  });
+  const qrOptions = { scale: 2, margin: 2, errorCorrectionLevel: "Q" };
+  await compareSearchPaths(matcher, qrOptions, sampleUrls(10));
+});
+
+test("a pattern is found where it was drawn", async () => {
+  const matcher = await loadMatcher("plus_3x3.png");
+  const image = new Jimp(12, 12, Jimp.rgbaToInt(255, 255, 255, 255));
+  image.blit(matcher.patternImage, 5, 4);
+  const match = matcher.findPatternInQr(image);
+  assert.strictEqual(match.x, 5);
+  assert.strictEqual(match.y, 4);
+  assert.strictEqual(match.mismatches, 0);
+  assert.strictEqual(match.orientation, "rot0");
+});
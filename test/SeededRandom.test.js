@@ -0,0 +1,54 @@
+// test/SeededRandom.test.js
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+const SeededRandom = require("../services/SeededRandom");
+const URLPermutator = require("../services/URLPermutator");
+
+function draw(random, count) {
+  return Array.from({ length: count }, () => random.next());
+}
+
+test("the same seed replays the same stream", () => {
+  assert.deepStrictEqual(
+    draw(new SeededRandom("abc123"), 1000),
+    draw(new SeededRandom("abc123"), 1000)
+  );
+});
+
+test("different seeds give different streams", () => {
+  assert.notDeepStrictEqual(
+    draw(new SeededRandom("abc123"), 10),
+    draw(new SeededRandom("abc124"), 10)
+  );
+});
+
+test("numbers fall in [0, 1)", () => {
+  for (const n of draw(new SeededRandom("range"), 10000)) {
+    assert.ok(n >= 0 && n < 1, `${n} out of range`);
+  }
+});
+
+test("seeds are compared as strings", () => {
+  assert.deepStrictEqual(draw(new SeededRandom(42), 5), draw(new SeededRandom("42"), 5));
+});
+
+test("a seeded run generates the same URLs again", () => {
+  const template = new URLPermutator().compileTemplate(
+    "https://{word}{digits:2-4}.{com|io|net}/{[a-z0-9_]:3-6}",
+    { wordLists: { word: ["blue", "fox", "river", "stone"] } }
+  );
+  const generateRun = (seed) => {
+    const random = new SeededRandom(seed);
+    return Array.from({ length: 200 }, () => template.generate(() => random.next()));
+  };
+  const urls = generateRun("replay");
+  assert.deepStrictEqual(generateRun("replay"), urls);
+  assert.notDeepStrictEqual(generateRun("other"), urls);
+  assert.ok(new Set(urls).size > 150, "URLs should rarely repeat");
+});
+
+test("generateSeed returns short hex seeds", () => {
+  const seed = SeededRandom.generateSeed();
+  assert.match(seed, /^[0-9a-f]{8}$/);
+});
@@ -0,0 +1,103 @@
+// test/URLPermutator.test.js
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+const URLPermutator = require("../services/URLPermutator");
+
+const permutator = new URLPermutator();
+const compile = (template, options) => permutator.compileTemplate(template, options);
+
+function allValues(template) {
+  return Array.from({ length: Number(template.total) }, (_, i) => template.valueAt(BigInt(i)));
+}
+
+test("text outside braces is copied as-is", () => {
+  const template = compile("https://example.com/");
+  assert.strictEqual(template.placeholderCount, 0);
+  assert.strictEqual(template.total, 1n);
+  assert.strictEqual(template.generate(), "https://example.com/");
+});
+
+test("charset placeholders take a fixed or MIN-MAX length", () => {
+  assert.strictEqual(compile("{digits:3}").total, 1000n);
+  assert.strictEqual(compile("{hex:1}").total, 22n);
+  assert.strictEqual(compile("{digits:1-2}").total, 110n);
+  assert.strictEqual(compile("{numeric}", { defaultLength: 2 }).total, 100n);
+  assert.match(compile("{upper:5}").generate(), /^[A-Z]{5}$/);
+  assert.match(compile("{letters:2-4}").generate(), /^[a-z]{2,4}$/);
+});
+
+test("character classes expand ranges and drop repeats", () => {
+  const template = compile("{[a-c0-1_a]:1}");
+  assert.deepStrictEqual(allValues(template), ["a", "b", "c", "0", "1", "_"]);
+  assert.strictEqual(compile("{[x|y:z]:1}").total, 5n); // ':' and '|' are plain characters here.
+});
+
+test("alternatives pick one literal, with or without a label", () => {
+  assert.deepStrictEqual(allValues(compile("{com|io|net}")), ["com", "io", "net"]);
+  assert.deepStrictEqual(allValues(compile("{tld:com|io}")), ["com", "io"]);
+});
+
+test("word lists can be limited by length", () => {
+  const wordLists = { word: ["fox", "blue", "river", "fox"] };
+  assert.deepStrictEqual(allValues(compile("{word}", { wordLists })), ["fox", "blue", "river"]);
+  assert.deepStrictEqual(allValues(compile("{word:4-5}", { wordLists })), ["blue", "river"]);
+});
+
+test("syllables are consonant-vowel pairs", () => {
+  const syllableCount = 16 * 5;
+  assert.strictEqual(
+    compile("{syllables}").total,
+    BigInt(syllableCount ** 2 + syllableCount ** 3)
+  );
+  assert.strictEqual(compile("{pronounceable:1}").total, BigInt(syllableCount));
+  assert.match(compile("{syllables:2}").generate(), /^([bdfghjklmnprstvz][aeiou]){2}$/);
+});
+
+test("extra charsets override the presets", () => {
+  const template = compile("{RANDOM_STRING:2}", { charSets: { RANDOM_STRING: "xy" } });
+  assert.deepStrictEqual(allValues(template), ["xx", "xy", "yx", "yy"]);
+});
+
+test("valueAt counts like an odometer, last placeholder fastest", () => {
+  const template = compile("{a|b}-{digits:1}.{com|io}");
+  assert.strictEqual(template.total, 40n);
+  assert.strictEqual(template.valueAt(0n), "a-0.com");
+  assert.strictEqual(template.valueAt(1n), "a-0.io");
+  assert.strictEqual(template.valueAt(2n), "a-1.com");
+  assert.strictEqual(template.valueAt(39n), "b-9.io");
+  assert.strictEqual(new Set(allValues(template)).size, 40);
+});
+
+test("the signature changes with the space", () => {
+  assert.strictEqual(compile("{digits:2}").signature, compile("{digits:2}").signature);
+  assert.notStrictEqual(compile("{digits:2}").signature, compile("{digits:3}").signature);
+  assert.notStrictEqual(
+    compile("{word}", { wordLists: { word: ["a1"] } }).signature,
+    compile("{word}", { wordLists: { word: ["b1"] } }).signature
+  );
+});
+
+test("malformed placeholders are rejected", () => {
+  const cases = [
+    ["{[a-z:3}", /Unclosed character class/],
+    ["{[a-z]x}", /Unexpected 'x' after character class/],
+    ["{}", /Empty placeholder/],
+    ["{digits:abc}", /Invalid length 'abc'/],
+    ["{digits:0}", /Lengths run from 1 to 64/],
+    ["{digits:5-3}", /Lengths run from 1 to 64/],
+    ["{digits:65}", /Lengths run from 1 to 64/],
+    ["{nosuchset:3}", /Unknown placeholder '\{nosuchset:3\}'/],
+    ["{custom:3}", /Charset for placeholder '\{custom:3\}' is empty/],
+  ];
+  for (const [template, error] of cases) {
+    assert.throws(() => compile(template), error, template);
+  }
+});
+
+test("a word list without words of the requested length is rejected", () => {
+  assert.throws(
+    () => compile("{word:10}", { wordLists: { word: ["fox"] } }),
+    /Word list 'word' has no words/
+  );
+});
@@ -0,0 +1,118 @@
+// test/URLSpaceEnumerator.test.js
+const { test } = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const os = require("os");
+const fs = require("fs").promises;
+
+const URLPermutator = require("../services/URLPermutator");
+const URLSpaceEnumerator = require("../services/URLSpaceEnumerator");
+
+// 6 * 10 = 60 values, small enough to walk completely.
+const space = new URLPermutator().compileTemplate("http://{[ab]:1-2}{digits:1}.com");
+
+function walk(enumerator) {
+  const values = [];
+  let next;
+  while ((next = enumerator.next())) values.push(next.value);
+  return values;
+}
+
+test("sequential order walks the space in index order", () => {
+  const values = walk(new URLSpaceEnumerator({ space }));
+  assert.strictEqual(values.length, 60);
+  assert.deepStrictEqual(values.slice(0, 3), ["http://a0.com", "http://a1.com", "http://a2.com"]);
+  assert.strictEqual(values[59], "http://bb9.com");
+});
+
+test("shuffled order is a bijection onto the space", () => {
+  const sequential = walk(new URLSpaceEnumerator({ space }));
+  for (const shuffleKey of ["", "a", "another key"]) {
+    const shuffled = walk(new URLSpaceEnumerator({ space, order: "shuffled", shuffleKey }));
+    assert.strictEqual(shuffled.length, 60);
+    assert.strictEqual(new Set(shuffled).size, 60, `duplicates with key '${shuffleKey}'`);
+    assert.deepStrictEqual([...shuffled].sort(), [...sequential].sort());
+    assert.notDeepStrictEqual(shuffled, sequential);
+  }
+});
+
+test("shuffled order is a bijection for spaces that aren't a power of two", () => {
+  for (const total of [1n, 2n, 3n, 1000n, 1025n]) {
+    const indexSpace = { total, valueAt: (index) => index.toString(), signature: "index" };
+    const enumerator = new URLSpaceEnumerator({ space: indexSpace, order: "shuffled" });
+    const values = new Set(walk(enumerator));
+    assert.strictEqual(values.size, Number(total));
+    for (let i = 0n; i < total; i++) {
+      assert.ok(values.has(i.toString()), `missing ${i} of ${total}`);
+    }
+  }
+});
+
+test("shuffled order depends only on the key", () => {
+  const walkWithKey = (shuffleKey) =>
+    walk(new URLSpaceEnumerator({ space, order: "shuffled", shuffleKey }));
+  assert.deepStrictEqual(walkWithKey("k1"), walkWithKey("k1"));
+  assert.notDeepStrictEqual(walkWithKey("k1"), walkWithKey("k2"));
+});
+
+test("a walk resumed from a checkpoint continues where it stopped", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "enumerator-test-"));
+  try {
+    const checkpointFile = path.join(dir, "checkpoint.json");
+    const options = { space, order: "shuffled", shuffleKey: "resume", checkpointFile };
+    const full = walk(new URLSpaceEnumerator(options));
+
+    const first = new URLSpaceEnumerator(options);
+    const before = [];
+    for (let i = 0; i < 25; i++) before.push(first.next().value);
+    assert.strictEqual(await first.saveCheckpoint(), true);
+
+    const resumed = new URLSpaceEnumerator(options);
+    assert.strictEqual(await resumed.loadCheckpoint(), true);
+    assert.strictEqual(resumed.cursor, 25n);
+    assert.deepStrictEqual([...before, ...walk(resumed)], full);
+    assert.strictEqual(resumed.coverage(), 1);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("a checkpoint from another order or key is ignored", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "enumerator-test-"));
+  try {
+    const checkpointFile = path.join(dir, "checkpoint.json");
+    const saved = new URLSpaceEnumerator({
+      space,
+      order: "shuffled",
+      shuffleKey: "a",
+      checkpointFile,
+    });
+    saved.next();
+    await saved.saveCheckpoint();
+
+    for (const options of [
+      { order: "shuffled", shuffleKey: "b" },
+      { order: "sequential", shuffleKey: "a" },
+    ]) {
+      const other = new URLSpaceEnumerator({ space, checkpointFile, ...options });
+      assert.strictEqual(await other.loadCheckpoint(), false);
+      assert.strictEqual(other.cursor, 0n);
+    }
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("rewindTo hands out unscanned values again", () => {
+  const enumerator = new URLSpaceEnumerator({ space, order: "shuffled" });
+  const handedOut = [enumerator.next(), enumerator.next(), enumerator.next()];
+  enumerator.rewindTo(handedOut[1].index);
+  assert.strictEqual(enumerator.next().value, handedOut[1].value);
+  enumerator.rewindTo(10n); // Never moves forward.
+  assert.strictEqual(enumerator.cursor, 2n);
+});
+
+test("invalid orders and empty spaces are rejected", () => {
+  assert.throws(() => new URLSpaceEnumerator({ space, order: "random" }), RangeError);
+  assert.throws(() => new URLSpaceEnumerator({ space: { total: 0n } }), /empty/);
+});